@@ -0,0 +1,334 @@
+/**
+ * Alert rules, checked after every analysis and, while the tab is open, by a
+ * periodic re-check. Matches are shown on the page, as browser notifications
+ * and, optionally, POSTed to a webhook.
+ */
+
+const ALERTS_STORAGE_KEY = 'manifold-analyzer-alerts';
+const MAX_LISTED_ALERTS = 50;
+
+// How each rule type is entered and described; percent values are stored as fractions
+const ALERT_RULE_INPUTS = {
+    returnBelow: { label: 'Return if correct below', unit: '%', percent: true },
+    closesWithin: { label: 'Closes within', unit: 'days' },
+    slippageAbove: { label: 'Slippage above', unit: '%', percent: true },
+    probabilityMove: { label: 'Probability moved more than', unit: 'points since the last check', percent: true }
+};
+
+let alertSettings = loadAlertSettings();
+
+// The accounts being watched, their positions at the last check and what
+// that check measured probability moves from
+let alertUsernames = [];
+let lastCheckPositions = [];
+let lastCheckBaseline = [];
+
+// Matches of the last check, so only new ones notify
+let activeAlertKeys = new Set();
+let alertsDismissed = false;
+let alertCheckTimer = null;
+
+/**
+ * Load rules and delivery settings from localStorage
+ */
+function loadAlertSettings() {
+    const defaults = { rules: [], intervalMinutes: 0, notify: false, webhookUrl: '' };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(ALERTS_STORAGE_KEY)) };
+    } catch (e) {
+        return defaults;
+    }
+}
+
+function saveAlertSettings() {
+    localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(alertSettings));
+}
+
+/**
+ * Fill the alerts panel from the saved settings
+ */
+function populateAlertsPanel() {
+    document.getElementById('alert-interval').value = alertSettings.intervalMinutes;
+    document.getElementById('alert-notify').checked = alertSettings.notify;
+    document.getElementById('alert-webhook').value = alertSettings.webhookUrl;
+    renderAlertRules();
+}
+
+function renderAlertRules() {
+    const list = document.getElementById('alert-rules');
+    list.innerHTML = alertSettings.rules.length > 0
+        ? alertSettings.rules.map(rule => `
+            <li>
+                ${escapeHtml(describeAlertRule(rule))}
+                <button type="button" class="hide-btn" data-remove-rule="${rule.id}" title="Remove rule">×</button>
+            </li>
+        `).join('')
+        : '<li class="compare-empty">No rules yet.</li>';
+}
+
+function describeAlertRule(rule) {
+    const input = ALERT_RULE_INPUTS[rule.type];
+    const value = input.percent ? +(rule.value * 100).toFixed(4) : rule.value;
+    return `${input.label} ${value}${input.unit === '%' ? '%' : ` ${input.unit}`}`;
+}
+
+document.getElementById('alert-rules').addEventListener('click', (event) => {
+    const button = event.target.closest('[data-remove-rule]');
+    if (!button) return;
+    
+    const id = Number(button.dataset.removeRule);
+    alertSettings.rules = alertSettings.rules.filter(rule => rule.id !== id);
+    saveAlertSettings();
+    renderAlertRules();
+    scheduleAlertCheck();
+});
+
+/**
+ * Add the rule entered in the alerts panel
+ */
+function addAlertRule() {
+    const type = document.getElementById('alert-type').value;
+    const valueInput = document.getElementById('alert-value');
+    const value = parseFloat(valueInput.value);
+    
+    if (isNaN(value) || value < 0) {
+        showError('Enter a number of zero or more for the alert rule');
+        return;
+    }
+    hideError();
+    
+    alertSettings.rules.push({
+        id: Math.max(0, ...alertSettings.rules.map(rule => rule.id)) + 1,
+        type,
+        value: ALERT_RULE_INPUTS[type].percent ? value / 100 : value
+    });
+    saveAlertSettings();
+    valueInput.value = '';
+    renderAlertRules();
+    
+    // Check the new rule against the last check right away
+    if (alertUsernames.length > 0) {
+        checkAlerts(lastCheckPositions, lastCheckBaseline);
+    }
+    scheduleAlertCheck();
+}
+
+/**
+ * Read the delivery settings from the alerts panel
+ */
+async function applyAlertSettings() {
+    const notifyInput = document.getElementById('alert-notify');
+    
+    if (notifyInput.checked && typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+        if (await Notification.requestPermission() !== 'granted') {
+            notifyInput.checked = false;
+            showError('Notifications are blocked for this page in your browser settings');
+        }
+    } else if (notifyInput.checked && typeof Notification === 'undefined') {
+        notifyInput.checked = false;
+        showError('This browser does not support notifications');
+    }
+    
+    alertSettings.intervalMinutes = Math.max(0, parseFloat(document.getElementById('alert-interval').value) || 0);
+    alertSettings.notify = notifyInput.checked;
+    alertSettings.webhookUrl = document.getElementById('alert-webhook').value.trim();
+    saveAlertSettings();
+    scheduleAlertCheck();
+}
+
+/**
+ * Check the rules after an analysis. Probability moves are measured from the
+ * last check of the same accounts, or else from their last saved run.
+ */
+function checkAlertsAfterAnalysis(usernames, positions) {
+    if (usernames.join(',') !== alertUsernames.join(',')) {
+        const username = usernames.join(',').toLowerCase();
+        alertUsernames = usernames;
+        lastCheckPositions = previousSnapshot && previousSnapshot.username === username ? previousSnapshot.positions : [];
+        activeAlertKeys = new Set();
+    }
+    
+    checkAlerts(positions, lastCheckPositions);
+    scheduleAlertCheck();
+}
+
+/**
+ * Evaluate the rules and deliver the matches that weren't there last time
+ */
+function checkAlerts(positions, previousPositions) {
+    const matches = ManifoldAPI.evaluateAlertRules(alertSettings.rules, positions, previousPositions);
+    const newMatches = matches.filter(match => !activeAlertKeys.has(match.key));
+    
+    activeAlertKeys = new Set(matches.map(match => match.key));
+    lastCheckPositions = positions;
+    lastCheckBaseline = previousPositions;
+    
+    if (newMatches.length > 0) {
+        alertsDismissed = false;
+        showAlertNotification(newMatches);
+        sendAlertWebhook(newMatches);
+    }
+    renderAlerts(matches);
+}
+
+/**
+ * Re-check every few minutes while the page is open, if rules are set
+ */
+function scheduleAlertCheck() {
+    clearTimeout(alertCheckTimer);
+    alertCheckTimer = null;
+    
+    if (alertSettings.intervalMinutes > 0 && alertSettings.rules.length > 0 && alertUsernames.length > 0) {
+        alertCheckTimer = setTimeout(runAlertCheck, alertSettings.intervalMinutes * 60 * 1000);
+    }
+}
+
+/**
+ * Re-analyze the watched accounts in the background and check the rules. The
+ * table is left as it is, so a re-check doesn't disturb whatever the user is
+ * doing. Accounts that can't be fetched are reported and keep the positions
+ * of the last check.
+ */
+async function runAlertCheck() {
+    // An analysis in progress checks the rules when it finishes
+    if (analysisController) {
+        scheduleAlertCheck();
+        return;
+    }
+    
+    const usernames = alertUsernames;
+    try {
+        const beliefs = loadBeliefs();
+        const fetched = await ManifoldAPI.getUsersPositions(usernames, null, getAnalysisFetchOptions());
+        const accounts = fetched.filter(account => !account.error);
+        const failed = fetched.filter(account => account.error);
+        if (accounts.length === 0) {
+            throw failed[0].error;
+        }
+        
+        await updateCreatorRecords(accounts);
+        const positionsByAccount = await Promise.all(accounts.map(async ({ username, rawData }) => {
+            const positions = await processPositionsInWorker(rawData, beliefs);
+            positions.forEach(p => p.owner = username);
+            return positions;
+        }));
+        
+        // Skip the result if other accounts were analyzed in the meantime
+        if (usernames === alertUsernames) {
+            const failedNames = failed.map(account => account.username);
+            const kept = lastCheckPositions.filter(p => failedNames.includes(p.owner));
+            checkAlerts([...positionsByAccount.flat(), ...kept], lastCheckPositions);
+            
+            if (failed.length > 0) {
+                showError(`Alert check could not fetch ${failed.map(({ username, error }) => `${username} (${error.message})`).join(', ')}`);
+            }
+        }
+    } catch (error) {
+        if (usernames === alertUsernames) {
+            showError(`Alert check failed: ${error.message}`);
+        }
+    }
+    
+    scheduleAlertCheck();
+}
+
+/**
+ * One line about a match: the position and what triggered the rule
+ */
+function describeAlertMatch(match) {
+    const { rule, position, previous } = match;
+    const pct = value => `${(value * 100).toFixed(1)}%`;
+    
+    let detail;
+    if (rule.type === 'returnBelow') {
+        detail = `return if correct ${pct(position.returnIfCorrect)}`;
+    } else if (rule.type === 'closesWithin') {
+        detail = `closes in ${position.daysUntilClose.toFixed(1)} days`;
+    } else if (rule.type === 'slippageAbove') {
+        detail = `slippage ${pct(position.slippage)}`;
+    } else {
+        detail = `probability ${pct(previous.probability)} → ${pct(position.probability)}`;
+    }
+    
+    const market = position.answer ? `${position.question} ↳ ${position.answer}` : position.question;
+    const owner = alertUsernames.length > 1 ? `${position.owner}: ` : '';
+    return `${owner}${market} (${position.outcome}) — ${detail}`;
+}
+
+/**
+ * List the current matches at the top of the page
+ */
+function renderAlerts(matches) {
+    const container = document.getElementById('alerts');
+    if (matches.length === 0 || alertsDismissed) {
+        container.classList.add('hidden');
+        return;
+    }
+    
+    const listed = matches.slice(0, MAX_LISTED_ALERTS);
+    container.innerHTML = `
+        <div class="alerts-header">
+            <strong>${matches.length} alert${matches.length === 1 ? '' : 's'}</strong>
+            <span class="compare-meta">Checked at ${new Date().toLocaleTimeString()}</span>
+            <button type="button" class="settings-btn" onclick="dismissAlerts()">Dismiss</button>
+        </div>
+        <ul>
+            ${listed.map(match => `
+                <li><a href="${escapeHtml(match.position.url)}" target="_blank" class="market-link">${escapeHtml(describeAlertMatch(match))}</a></li>
+            `).join('')}
+            ${matches.length > listed.length ? `<li class="compare-empty">…and ${matches.length - listed.length} more</li>` : ''}
+        </ul>
+    `;
+    container.classList.remove('hidden');
+}
+
+/**
+ * Hide the alerts until a check finds new ones
+ */
+function dismissAlerts() {
+    alertsDismissed = true;
+    document.getElementById('alerts').classList.add('hidden');
+}
+
+function showAlertNotification(matches) {
+    if (!alertSettings.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    
+    const lines = matches.slice(0, 3).map(describeAlertMatch);
+    if (matches.length > lines.length) {
+        lines.push(`…and ${matches.length - lines.length} more`);
+    }
+    
+    new Notification(`${matches.length} new Manifold alert${matches.length === 1 ? '' : 's'}`, {
+        body: lines.join('\n'),
+        tag: 'manifold-analyzer-alerts'
+    });
+}
+
+async function sendAlertWebhook(matches) {
+    if (!alertSettings.webhookUrl) return;
+    
+    try {
+        await ManifoldAPI.postAlertWebhook(alertSettings.webhookUrl, matches);
+    } catch (error) {
+        showError(`Could not send alerts to the webhook: ${error.message}`);
+    }
+}
+
+/**
+ * POST an empty alert list to check that the webhook accepts requests
+ */
+async function testAlertWebhook() {
+    await applyAlertSettings();
+    if (!alertSettings.webhookUrl) {
+        showError('Enter a webhook URL first');
+        return;
+    }
+    
+    try {
+        await ManifoldAPI.postAlertWebhook(alertSettings.webhookUrl, []);
+        hideError();
+        showNotice('The webhook accepted the test request.');
+    } catch (error) {
+        showError(`Could not reach the webhook: ${error.message}`);
+    }
+}
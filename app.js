@@ -8,14 +8,51 @@ const analyzeBtn = document.getElementById('analyze-btn');
 const loadingDiv = document.getElementById('loading');
 const loadingDetail = document.getElementById('loading-detail');
 const errorDiv = document.getElementById('error');
+const noticeDiv = document.getElementById('notice');
 const resultsDiv = document.getElementById('results');
 const positionsBody = document.getElementById('positions-body');
+const rankBySelect = document.getElementById('rank-by');
+
+const BELIEFS_STORAGE_KEY = 'manifold-analyzer-beliefs';
+const HIDDEN_STORAGE_KEY = 'manifold-analyzer-hidden';
+
+// Store each account's raw data so positions can be re-analyzed when beliefs change
+let currentAccounts = [];
+let currentRunTimestamp = null;
 
 // Store positions for sorting
 let currentPositions = [];
+
+// Positions in the order the table rows were rendered
+let renderedPositions = [];
 let currentSortColumn = null;
 let currentSortDirection = 'asc';
 
+// Rows the user hid, by owner and position key (saved per user in localStorage)
+const hiddenRowKeys = new Set();
+
+// Only the rows near the viewport are in the DOM once the table gets long
+const VIRTUALIZE_AFTER_ROWS = 200;
+const ROW_BUFFER = 20;
+let estimatedRowHeight = 60;
+let visibleRowIndices = [];
+let renderedRange = null;
+
+// The row keyboard focus returns to in the table, and the rows hidden this
+// session, most recent last, so they can be brought back in turn
+let focusedRowKey = null;
+const recentlyHiddenKeys = [];
+
+// Column titles, shown beside each value in the narrow-screen card layout
+const columnLabels = [...document.querySelectorAll('#positions-table thead th')]
+    .map(th => th.classList.contains('sortable') ? th.firstChild.textContent.trim() : '');
+
+// Guards against an older refresh overwriting a newer one
+let refreshCount = 0;
+
+// Aborts the analysis in progress, if any
+let analysisController = null;
+
 // Allow Enter key to trigger analysis
 usernameInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
@@ -26,69 +63,310 @@ usernameInput.addEventListener('keypress', (e) => {
 // Check URL parameters for username
 window.addEventListener('load', () => {
     const params = new URLSearchParams(window.location.search);
-    const username = params.get('user') || params.get('username');
+    
+    // Restore the hurdle model from a shared link
+    ManifoldAPI.setHurdleModel(hurdleModelFromParams(params));
+    loadResolutionSettings();
+    populateSettingsPanel();
+    populateResolutionPanel();
+    populateRiskPanel();
+    populateSalePricingPanel();
+    populateAlertsPanel();
+    restoreApiKey();
+    
+    currentFilters = filtersFromParams(params);
+    populateFilterBar();
+    setupSortHandlers();
+    
+    const username = params.get('users') || params.get('user') || params.get('username');
     if (username) {
         usernameInput.value = username;
-        analyzePortfolio();
+        // A reloaded link may reuse responses fetched a few minutes ago
+        analyzePortfolio({ useCache: true });
     }
 });
 
 /**
- * Main analysis function
+ * Parse the username input: one or more comma-separated usernames or profile URLs
  */
-async function analyzePortfolio() {
-    let username = usernameInput.value.trim();
+function parseUsernames(text) {
+    const usernames = text.split(',')
+        .map(entry => {
+            let username = entry.trim();
+            
+            // Extract username if user pasted a full URL
+            if (username.includes('manifold.markets/')) {
+                username = username.split('manifold.markets/')[1].split('/')[0].split('?')[0];
+            }
+            return username;
+        })
+        .filter(username => username);
     
-    // Extract username if user pasted a full URL
-    if (username.includes('manifold.markets/')) {
-        username = username.split('manifold.markets/')[1].split('/')[0].split('?')[0];
-        usernameInput.value = username;
+    // Drop duplicates, ignoring case
+    return usernames.filter((username, index) =>
+        usernames.findIndex(u => u.toLowerCase() === username.toLowerCase()) === index);
+}
+
+/**
+ * The Analyze button doubles as Cancel while an analysis is running
+ */
+function toggleAnalysis() {
+    if (analysisController) {
+        analysisController.abort();
+    } else {
+        analyzePortfolio();
     }
+}
+
+/**
+ * What an analysis fetches on top of the positions, per the settings. The
+ * alert re-check uses the same, so it measures what the table shows.
+ */
+function getAnalysisFetchOptions() {
+    return { limitOrders: useLimitOrders(), recentBets: useRiskSignals() };
+}
+
+/**
+ * Main analysis function. Starting a new analysis cancels the one in progress.
+ * options.useCache: accept recently cached API responses
+ */
+async function analyzePortfolio(options = {}) {
+    const usernames = parseUsernames(usernameInput.value);
     
-    if (!username) {
+    if (usernames.length === 0) {
         showError('Please enter a username');
         return;
     }
     
+    usernameInput.value = usernames.join(', ');
+    
+    if (analysisController) {
+        analysisController.abort();
+    }
+    const controller = new AbortController();
+    analysisController = controller;
+    
     // Update URL for sharing
-    const newUrl = `${window.location.pathname}?user=${encodeURIComponent(username)}`;
-    window.history.pushState({}, '', newUrl);
+    updateShareUrl(usernames);
     
     // Reset UI
     hideError();
     hideResults();
     showLoading();
     setButtonLoading(true);
+    currentAccounts = [];
+    currentContracts.clear();
+    resetPlanner();
+    restoreHiddenRows(usernames);
     
     try {
-        // Step 1: Get user ID
-        updateLoadingDetail('Looking up user...');
-        const userId = await ManifoldAPI.getUserId(username);
+        // Step 1 & 2: Look up each user and fetch their positions, pricing and
+        // showing each page as it arrives
+        const beliefs = loadBeliefs();
+        const streamedByOwner = new Map(usernames.map(username => [username, []]));
+        const pagePricing = [];
+        currentRunTimestamp = Date.now();
+        refreshCount++;
+        
+        const onPage = (username, page) => {
+            rememberContracts(page.contracts);
+            pagePricing.push(processPositionsInWorker(page, beliefs).then(positions => {
+                if (controller !== analysisController) return;
+                
+                positions.forEach(p => p.owner = username);
+                streamedByOwner.get(username).push(...positions);
+                showPositions([...streamedByOwner.values()].flat());
+            }));
+        };
+        
+        updateLoadingDetail(usernames.length > 1 ? `Fetching ${usernames.length} accounts...` : 'Looking up user...');
+        const fetched = await ManifoldAPI.getUsersPositions(usernames, updateLoadingDetail, {
+            signal: controller.signal,
+            useCache: options.useCache,
+            ...getAnalysisFetchOptions(),
+            onPage
+        });
+        
+        // Accounts that couldn't be fetched are reported; the others are still analyzed
+        const accounts = fetched.filter(account => !account.error);
+        const failed = fetched.filter(account => account.error);
+        if (accounts.length === 0) {
+            throw failed[0].error;
+        }
+        const analyzedUsernames = accounts.map(account => account.username);
         
-        // Step 2: Fetch positions
-        updateLoadingDetail('Fetching positions...');
-        const rawData = await ManifoldAPI.getUserPositions(userId, updateLoadingDetail);
+        const hasCreatorRecords = await updateCreatorRecords(accounts, { signal: controller.signal });
         
-        // Step 3: Process positions
+        // Step 3: Finish pricing. Accounts that came from the cache weren't streamed, and
+        // streamed pages were priced before the limit orders, bets and creator records arrived.
         updateLoadingDetail('Analyzing positions...');
-        const allPositions = ManifoldAPI.processPositions(rawData);
+        await Promise.all(pagePricing);
         
-        // Step 4: Get all positions sorted (below margin first)
-        const allPositionsSorted = ManifoldAPI.getAllPositionsSorted(allPositions);
-        const belowMarginCount = allPositionsSorted.filter(p => p.returnIfCorrect < ManifoldAPI.MARGIN_RATE_ANNUAL).length;
+        const positionsByAccount = await Promise.all(accounts.map(async ({ username, rawData }) => {
+            const streamed = streamedByOwner.get(username);
+            if (streamed.length === 0 || rawData.limitOrdersByContract || rawData.recentBetsByContract || hasCreatorRecords) {
+                const positions = await processPositionsInWorker(rawData, beliefs);
+                positions.forEach(p => p.owner = username);
+                return positions;
+            }
+            ManifoldAPI.applyKellyStakes(streamed);
+            return streamed;
+        }));
+        controller.signal.throwIfAborted();
         
         // Display results
+        currentAccounts = accounts;
+        accounts.forEach(({ rawData }) => rememberContracts(rawData.contracts));
         hideLoading();
-        displayResults(allPositionsSorted, allPositions.length, belowMarginCount);
+        const positions = positionsByAccount.flat();
+        showPositions(positions);
+        
+        if (failed.length > 0) {
+            showError(`Could not analyze ${failed.map(({ username, error }) => `${username} (${error.message})`).join(', ')}`);
+        }
+        
+        // Step 4: Save a snapshot for comparing with later runs
+        try {
+            await recordSnapshot(analyzedUsernames.join(','), positions);
+        } catch (error) {
+            showNotice(`This run could not be saved for comparing with later runs: ${error.message}`);
+        }
+        
+        // Step 5: Check alert rules against the fresh positions
+        checkAlertsAfterAnalysis(analyzedUsernames, positions);
         
     } catch (error) {
+        // A newer analysis has taken over the page
+        if (controller !== analysisController) return;
+        
+        // Don't leave a partly streamed table behind
         hideLoading();
-        showError(error.message);
+        hideResults();
+        if (error.name !== 'AbortError') {
+            showError(error.message);
+        }
     } finally {
-        setButtonLoading(false);
+        if (controller === analysisController) {
+            analysisController = null;
+            setButtonLoading(false);
+        }
     }
 }
 
+/**
+ * Update the page URL so it reproduces the current analysis
+ */
+function updateShareUrl(usernames, replace) {
+    const params = new URLSearchParams();
+    if (usernames.length > 1) {
+        params.set('users', usernames.join(','));
+    } else {
+        params.set('user', usernames[0]);
+    }
+    hurdleModelToParams(ManifoldAPI.getHurdleModel(), params);
+    filtersToParams(currentFilters, params);
+    
+    const newUrl = `${window.location.pathname}?${params.toString().replace(/%2C/g, ',')}`;
+    if (replace) {
+        window.history.replaceState({}, '', newUrl);
+    } else {
+        window.history.pushState({}, '', newUrl);
+    }
+}
+
+/**
+ * Process the current raw data with the user's beliefs and display it
+ */
+async function refreshResults() {
+    if (currentAccounts.length === 0) return [];
+    
+    const refreshId = ++refreshCount;
+    
+    // Analyze each account separately (Kelly stakes use that account's bankroll)
+    const beliefs = loadBeliefs();
+    const positionsByAccount = await Promise.all(currentAccounts.map(async ({ username, rawData }) => {
+        const positions = await processPositionsInWorker(rawData, beliefs);
+        positions.forEach(p => p.owner = username);
+        return positions;
+    }));
+    
+    if (refreshId !== refreshCount) return null;
+    
+    const allPositions = positionsByAccount.flat();
+    showPositions(allPositions);
+    return allPositions;
+}
+
+/**
+ * Rank positions (below margin first) and display them
+ */
+function showPositions(allPositions) {
+    const allPositionsSorted = ManifoldAPI.getAllPositionsSorted(allPositions, rankBySelect.value);
+    const belowMarginCount = allPositionsSorted.filter(isBelowMargin).length;
+    
+    displayResults(allPositionsSorted, allPositions.length, belowMarginCount);
+}
+
+// Pricing runs in a Web Worker; false once starting one has failed (e.g. from file://)
+let pricingWorker = null;
+let nextPricingRequestId = 0;
+const pendingPricingRequests = new Map();
+
+function getPricingWorker() {
+    if (pricingWorker === null) {
+        try {
+            pricingWorker = new Worker('pricing-worker.js');
+            pricingWorker.onmessage = (event) => {
+                const { id, positions, error } = event.data;
+                const request = pendingPricingRequests.get(id);
+                pendingPricingRequests.delete(id);
+                
+                if (error) {
+                    request.reject(new Error(error));
+                } else {
+                    request.resolve(positions);
+                }
+            };
+            pricingWorker.onerror = (event) => {
+                // The worker script couldn't load: price on the main thread instead
+                event.preventDefault();
+                pricingWorker.terminate();
+                pricingWorker = false;
+                
+                pendingPricingRequests.forEach(request => {
+                    request.resolve(ManifoldAPI.processPositions(request.rawData, request.beliefs));
+                });
+                pendingPricingRequests.clear();
+            };
+        } catch (error) {
+            pricingWorker = false;
+        }
+    }
+    return pricingWorker;
+}
+
+/**
+ * ManifoldAPI.processPositions, run in the pricing worker when possible
+ */
+function processPositionsInWorker(rawData, beliefs) {
+    const worker = getPricingWorker();
+    if (!worker) {
+        return Promise.resolve(ManifoldAPI.processPositions(rawData, beliefs));
+    }
+    
+    return new Promise((resolve, reject) => {
+        const id = nextPricingRequestId++;
+        pendingPricingRequests.set(id, { resolve, reject, rawData, beliefs });
+        worker.postMessage({
+            id,
+            rawData,
+            beliefs,
+            hurdleModel: ManifoldAPI.getHurdleModel(),
+            resolutionModel: ManifoldAPI.getResolutionModel()
+        });
+    });
+}
+
 /**
  * Display the results table
  */
@@ -96,59 +374,105 @@ function displayResults(positions, totalPositions, belowMarginCount) {
     // Store positions for sorting
     currentPositions = positions;
     
-    // Update summary
-    document.getElementById('summary-text').textContent = 
-        `Showing ${positions.length} positions. ${belowMarginCount} with return below margin rate.`;
+    // Update summary, calling out positions that couldn't be priced through the AMM
+    const fairOnlyCount = positions.filter(p => p.pricing === 'fair').length;
+    const unpricedCount = positions.filter(p => p.pricing === 'none').length;
+    let summary = `Showing ${positions.length} positions. ${belowMarginCount} with return below margin rate.`;
+    if (fairOnlyCount > 0) {
+        summary += ` ${fairOnlyCount} priced at fair value only (no AMM).`;
+    }
+    if (unpricedCount > 0) {
+        summary += ` ${unpricedCount} could not be priced.`;
+    }
+    document.getElementById('summary-text').textContent = summary;
     
     // Update stats (only for below-margin positions)
-    const belowMarginPositions = positions.filter(p => p.returnIfCorrect < ManifoldAPI.MARGIN_RATE_ANNUAL);
+    const belowMarginPositions = positions.filter(isBelowMargin);
     const totalSaleValue = belowMarginPositions.reduce((sum, p) => sum + p.saleValue, 0);
     const totalPayout = belowMarginPositions.reduce((sum, p) => sum + p.shares, 0);
+    const totalLoans = belowMarginPositions.reduce((sum, p) => sum + p.loan, 0);
+    const totalFreeCash = belowMarginPositions.reduce((sum, p) => sum + p.netProceeds, 0);
+    
+    // Redeeming hedged pairs is always free, so count it across all positions
+    const totalRedemption = positions.reduce((sum, p) => sum + p.redemptionValue, 0);
     
     document.getElementById('stat-positions').textContent = belowMarginCount;
     document.getElementById('stat-recoverable').textContent = `M$${Math.round(totalSaleValue).toLocaleString()}`;
     document.getElementById('stat-payout').textContent = `M$${Math.round(totalPayout).toLocaleString()}`;
+    document.getElementById('stat-loans').textContent = `M$${Math.round(totalLoans).toLocaleString()}`;
+    document.getElementById('stat-free-cash').textContent = `M$${Math.round(totalFreeCash).toLocaleString()}`;
+    document.getElementById('stat-redemption').textContent = `M$${Math.round(totalRedemption).toLocaleString()}`;
     
-    // Setup sort handlers (only once)
-    setupSortHandlers();
+    // What selling the below-margin positions would lock in, where Manifold reports a cost basis
+    const sumKnown = key => belowMarginPositions.reduce((sum, p) => sum + (p[key] || 0), 0);
+    const statUnrealized = document.getElementById('stat-unrealized');
+    const statRealized = document.getElementById('stat-realized');
+    document.getElementById('stat-cost-basis').textContent = `M$${Math.round(sumKnown('costBasis')).toLocaleString()}`;
+    statUnrealized.textContent = formatSignedMana(sumKnown('unrealizedProfit'), 0);
+    statUnrealized.className = `stat-value ${getProfitClass(sumKnown('unrealizedProfit'))}`;
+    statRealized.textContent = formatSignedMana(sumKnown('realizedProfit'), 0);
+    statRealized.className = `stat-value ${getProfitClass(sumKnown('realizedProfit'))}`;
     
-    // Build table rows
-    renderTableRows(positions);
+    // Per-account subtotals and overlaps when analyzing several accounts
+    renderTeamViews(positions);
+    renderDashboard(positions);
+    populateTopicSelect(positions);
+    updatePlanner();
+    
+    // Build table rows, keeping any column sort the user picked
+    renderTableRows(currentSortColumn
+        ? sortPositions(positions, currentSortColumn, currentSortDirection)
+        : positions);
     
     showResults();
 }
 
 /**
- * Setup click handlers for sortable columns
+ * Sort by a column header on click, Enter or Space. The headers are in the
+ * page from the start, so this is set up once.
  */
 function setupSortHandlers() {
-    const headers = document.querySelectorAll('th.sortable');
-    headers.forEach(header => {
-        // Remove existing listener by cloning
-        const newHeader = header.cloneNode(true);
-        header.parentNode.replaceChild(newHeader, header);
-        
-        newHeader.addEventListener('click', () => {
-            const sortKey = newHeader.dataset.sort;
-            
-            // Toggle direction if same column, otherwise default to ascending
-            if (currentSortColumn === sortKey) {
-                currentSortDirection = currentSortDirection === 'asc' ? 'desc' : 'asc';
-            } else {
-                currentSortColumn = sortKey;
-                currentSortDirection = 'asc';
-            }
-            
-            // Update header styles
-            document.querySelectorAll('th.sortable').forEach(th => {
-                th.classList.remove('sort-asc', 'sort-desc');
-            });
-            newHeader.classList.add(currentSortDirection === 'asc' ? 'sort-asc' : 'sort-desc');
-            
-            // Sort and re-render
-            const sorted = sortPositions(currentPositions, sortKey, currentSortDirection);
-            renderTableRows(sorted);
-        });
+    const thead = document.querySelector('#positions-table thead');
+    
+    thead.addEventListener('click', (event) => {
+        const header = event.target.closest('th.sortable');
+        if (header) {
+            sortByColumn(header.dataset.sort);
+        }
+    });
+    thead.addEventListener('keydown', (event) => {
+        const header = event.target.closest('th.sortable');
+        if (header && (event.key === 'Enter' || event.key === ' ')) {
+            event.preventDefault();
+            sortByColumn(header.dataset.sort);
+        }
+    });
+}
+
+/**
+ * Sort the table by a column: ascending first, toggling on the same column
+ */
+function sortByColumn(sortKey) {
+    if (currentSortColumn === sortKey) {
+        currentSortDirection = currentSortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+        currentSortColumn = sortKey;
+        currentSortDirection = 'asc';
+    }
+    
+    updateSortHeaders();
+    renderTableRows(sortPositions(currentPositions, sortKey, currentSortDirection));
+}
+
+/**
+ * Show the sort column and direction in the header styles and aria-sort
+ */
+function updateSortHeaders() {
+    document.querySelectorAll('th.sortable').forEach(th => {
+        const direction = th.dataset.sort === currentSortColumn ? currentSortDirection : null;
+        th.classList.toggle('sort-asc', direction === 'asc');
+        th.classList.toggle('sort-desc', direction === 'desc');
+        th.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : direction === 'desc' ? 'descending' : 'none');
     });
 }
 
@@ -187,66 +511,439 @@ function sortPositions(positions, key, direction) {
 }
 
 /**
- * Render table rows from positions array
+ * Render table rows from positions array, leaving out hidden rows and rows
+ * the filters exclude. Only the rows near the viewport are built, so
+ * re-sorting a long table stays fast.
  */
 function renderTableRows(positions) {
+    renderedPositions = positions;
+    visibleRowIndices = positions
+        .map((position, index) => index)
+        .filter(index => !hiddenRowKeys.has(getRowKey(positions[index])) &&
+            matchesFilters(positions[index], currentFilters));
+    renderedRange = null;
+    
+    renderVisibleRows();
+    updateHiddenCount();
+    updateFilterCount(visibleRowIndices.length, positions.length);
+    renderTopics();
+}
+
+/**
+ * Build the rows in and around the viewport, with spacer rows standing in
+ * for the rest
+ */
+function renderVisibleRows() {
+    const rowCount = visibleRowIndices.length;
+    let first = 0;
+    let last = rowCount;
+    
+    if (rowCount > VIRTUALIZE_AFTER_ROWS) {
+        const bodyTop = positionsBody.getBoundingClientRect().top;
+        first = Math.max(Math.floor(-bodyTop / estimatedRowHeight) - ROW_BUFFER, 0);
+        last = Math.min(Math.ceil((window.innerHeight - bodyTop) / estimatedRowHeight) + ROW_BUFFER, rowCount);
+        first = Math.min(first, last);
+    }
+    
+    if (renderedRange && renderedRange.first === first && renderedRange.last === last) return;
+    renderedRange = { first, last };
+    
+    // Rebuilding drops the focused row, so focus is put back on its new copy
+    const hadFocus = document.activeElement && document.activeElement.parentNode === positionsBody;
+    
     positionsBody.innerHTML = '';
+    if (first > 0) {
+        positionsBody.appendChild(createSpacerRow(first * estimatedRowHeight));
+    }
     
-    positions.forEach((position, index) => {
-        const row = document.createElement('tr');
-        
-        // Truncate question
-        let question = position.question;
-        if (question.length > 70) {
-            question = question.substring(0, 70) + '...';
+    const rows = visibleRowIndices.slice(first, last).map(index => {
+        const row = createPositionRow(renderedPositions[index], index);
+        positionsBody.appendChild(row);
+        return row;
+    });
+    
+    if (last < rowCount) {
+        positionsBody.appendChild(createSpacerRow((rowCount - last) * estimatedRowHeight));
+    }
+    
+    // One row is always reachable with Tab
+    const tabbable = rows.find(row => row.tabIndex === 0) || rows[0];
+    if (tabbable) {
+        tabbable.tabIndex = 0;
+        if (hadFocus) {
+            tabbable.focus({ preventScroll: true });
         }
-        
-        // Answer text
-        let answerHtml = '';
-        if (position.answer) {
-            let answerText = position.answer;
-            if (answerText.length > 50) {
-                answerText = answerText.substring(0, 50) + '...';
-            }
-            answerHtml = `<span class="answer-text">↳ ${escapeHtml(answerText)}</span>`;
+    }
+    
+    // Spacers are sized from the rows actually rendered
+    if (rowCount > VIRTUALIZE_AFTER_ROWS && rows.length > 0) {
+        const height = rows.reduce((sum, row) => sum + row.offsetHeight, 0) / rows.length;
+        if (height > 0 && Math.abs(height - estimatedRowHeight) > 1) {
+            estimatedRowHeight = height;
+            renderedRange = null;
+            scheduleRenderVisibleRows();
         }
-        
-        // Position badge
-        const positionClass = position.outcome === 'YES' ? 'position-yes' : 'position-no';
-        
-        // Return styling
-        const returnPercent = (position.returnIfCorrect * 100).toFixed(3);
-        let returnClass = '';
-        if (position.returnIfCorrect >= ManifoldAPI.MARGIN_RATE_ANNUAL) {
-            returnClass = 'return-good';
-        } else if (position.returnIfCorrect < 0.05) {
-            returnClass = 'return-very-low';
-        } else {
-            returnClass = 'return-low';
+    }
+}
+
+let rowRenderScheduled = false;
+
+function scheduleRenderVisibleRows() {
+    if (rowRenderScheduled || visibleRowIndices.length <= VIRTUALIZE_AFTER_ROWS) return;
+    
+    rowRenderScheduled = true;
+    requestAnimationFrame(() => {
+        rowRenderScheduled = false;
+        renderVisibleRows();
+    });
+}
+
+window.addEventListener('scroll', scheduleRenderVisibleRows, { passive: true });
+window.addEventListener('resize', scheduleRenderVisibleRows);
+
+// Clicking a row anywhere but its controls opens the detail panel
+positionsBody.addEventListener('click', (event) => {
+    const row = event.target.closest('tr.position-row');
+    if (!row) return;
+    
+    if (event.target.closest('.hide-btn')) {
+        hideRow(row);
+    } else if (!event.target.closest('a, button, input')) {
+        openDetailPanel(renderedPositions[Number(row.dataset.index)]);
+    }
+});
+
+positionsBody.addEventListener('focusin', (event) => {
+    const row = event.target.closest('tr.position-row');
+    if (!row) return;
+    
+    focusedRowKey = getRowKey(renderedPositions[Number(row.dataset.index)]);
+    positionsBody.querySelectorAll('tr.position-row').forEach(other => {
+        other.tabIndex = other === row ? 0 : -1;
+    });
+});
+
+/**
+ * Shortcuts on a focused row: ↓/j and ↑/k move between rows, Home and End
+ * jump to the first and last, Enter opens the detail panel, h or Delete
+ * hides the row and u brings back the row hidden last
+ */
+positionsBody.addEventListener('keydown', (event) => {
+    const row = event.target;
+    if (!row.classList.contains('position-row') || event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    const place = visibleRowIndices.indexOf(Number(row.dataset.index));
+    const moves = {
+        ArrowDown: place + 1,
+        j: place + 1,
+        ArrowUp: place - 1,
+        k: place - 1,
+        Home: 0,
+        End: visibleRowIndices.length - 1
+    };
+    
+    if (event.key in moves) {
+        focusRowAt(moves[event.key]);
+    } else if (event.key === 'Enter') {
+        openDetailPanel(renderedPositions[Number(row.dataset.index)]);
+    } else if (event.key === 'h' || event.key === 'Delete') {
+        hideRow(row);
+        focusRowAt(place);
+    } else if (event.key === 'u') {
+        restoreHiddenRow();
+    } else {
+        return;
+    }
+    event.preventDefault();
+});
+
+/**
+ * Focus the row at this place among the shown rows, building it first if
+ * it is outside the rendered range
+ */
+function focusRowAt(place) {
+    if (visibleRowIndices.length === 0) return;
+    
+    const clamped = Math.min(Math.max(place, 0), visibleRowIndices.length - 1);
+    const selector = `tr[data-index="${visibleRowIndices[clamped]}"]`;
+    
+    let row = positionsBody.querySelector(selector);
+    if (!row) {
+        const bodyTop = positionsBody.getBoundingClientRect().top + window.scrollY;
+        window.scrollTo(0, bodyTop + clamped * estimatedRowHeight - window.innerHeight / 2);
+        renderVisibleRows();
+        row = positionsBody.querySelector(selector);
+    }
+    if (row) {
+        row.focus();
+    }
+}
+
+function createSpacerRow(height) {
+    const row = document.createElement('tr');
+    row.className = 'spacer-row';
+    row.innerHTML = `<td colspan="23" style="height: ${height}px"></td>`;
+    return row;
+}
+
+/**
+ * Build the table row for one position; index is its place in renderedPositions
+ */
+function createPositionRow(position, index) {
+    const row = document.createElement('tr');
+    row.dataset.index = index;
+    
+    // Truncate question
+    let question = position.question;
+    if (question.length > 70) {
+        question = question.substring(0, 70) + '...';
+    }
+    
+    // Answer text
+    let answerHtml = '';
+    if (position.answer) {
+        let answerText = position.answer;
+        if (answerText.length > 50) {
+            answerText = answerText.substring(0, 50) + '...';
         }
-        
-        row.innerHTML = `
-            <td class="hide-cell"><button class="hide-btn" onclick="hideRow(this)" title="Hide this row">×</button></td>
-            <td>${index + 1}</td>
-            <td>
-                <a href="${escapeHtml(position.url)}" target="_blank" class="market-link">
-                    ${escapeHtml(question)}
-                </a>
-                ${answerHtml}
-            </td>
-            <td>
-                <span class="position-badge ${positionClass}">
-                    ${position.shares.toFixed(1)} ${position.outcome}
-                </span>
-            </td>
-            <td class="right">M$${position.saleValue.toFixed(2)}</td>
-            <td class="right">M$${position.shares.toFixed(2)}</td>
-            <td class="right">${Math.round(position.daysUntilClose || 0)}</td>
-            <td class="right ${returnClass}">${returnPercent}%</td>
-        `;
-        
-        positionsBody.appendChild(row);
+        answerHtml = `<span class="answer-text">↳ ${escapeHtml(answerText)}</span>`;
+    }
+    
+    // Position badge
+    const positionClass = position.outcome === 'YES' ? 'position-yes' : 'position-no';
+    
+    // Hedged positions: matched YES/NO pairs are shown separately
+    let hedgedHtml = '';
+    let redemptionHtml = '';
+    if (position.isHedged) {
+        hedgedHtml = `<span class="hedged-badge" title="Also holds ${position.hedgedShares.toFixed(1)} YES/NO pairs">hedged</span>`;
+        redemptionHtml = `<span class="redemption-value" title="Matched YES/NO pairs redeem for M$1 each, with no slippage">+ M$${position.redemptionValue.toFixed(2)} redeemable</span>`;
+    }
+    
+    // Return styling
+    const returnPercent = position.returnIfCorrect === null
+        ? '—'
+        : `${(position.returnIfCorrect * 100).toFixed(3)}%`;
+    const returnClass = getReturnClass(position.returnIfCorrect);
+    
+    row.innerHTML = `
+        <td class="hide-cell"><button type="button" class="hide-btn" title="Hide this row (h)" aria-label="Hide this row">×</button></td>
+        <td>${index + 1}</td>
+        <td>
+            <a href="${escapeHtml(position.url)}" target="_blank" class="market-link">
+                ${escapeHtml(question)}
+            </a>
+            ${answerHtml}
+            ${formatRiskBadge(position)}
+        </td>
+        <td>
+            <span class="position-badge ${positionClass}">
+                ${position.shares.toFixed(1)} ${formatOutcome(position)}
+            </span>
+            ${hedgedHtml}
+        </td>
+        <td>${formatMechanism(position)}</td>
+        <td class="right">
+            M$${position.saleValue.toFixed(2)}
+            ${redemptionHtml}
+        </td>
+        <td class="right">${formatOrderBookSaleValue(position)}</td>
+        <td class="right">M$${position.shares.toFixed(2)}</td>
+        <td class="right">${formatLoan(position)}</td>
+        <td class="right">${position.costBasis === null ? '—' : `M$${position.costBasis.toFixed(2)}`}</td>
+        <td class="right ${getProfitClass(position.unrealizedProfit)}">${formatSignedMana(position.unrealizedProfit, 2)}</td>
+        <td class="right ${getProfitClass(position.profitPercent)}">${formatPercent(position.profitPercent)}</td>
+        <td class="right ${getProfitClass(position.realizedProfit)}">${formatSignedMana(position.realizedProfit, 2)}</td>
+        <td class="right">${formatExpectedResolution(position)}</td>
+        <td class="right">${formatLiquidity(position)}</td>
+        <td class="right">${formatProbabilityChange(position)}</td>
+        <td class="right">${formatCreatorRecord(position)}</td>
+        <td class="right ${returnClass}">${returnPercent}</td>
+        <td class="right">${formatSellRecommendation(position)}</td>
+        <td class="right">
+            <input type="number" class="belief-input${position.hasBelief ? ' belief-set' : ''}"
+                min="0" max="100" step="1"
+                value="${position.hasBelief ? Math.round(position.beliefProbability * 100) : ''}"
+                placeholder="${position.probability === null ? '' : Math.round(position.probability * 100)}"
+                title="Your probability of YES (%). Leave blank to use the market probability.">
+        </td>
+        <td class="right ${getReturnClass(position.expectedReturn)}">${formatPercent(position.expectedReturn)}</td>
+        <td class="right">${formatKellyStake(position)}</td>
+        <td class="owner-cell">${escapeHtml(position.owner || '')}</td>
+    `;
+    
+    row.querySelectorAll('td').forEach((cell, column) => {
+        if (columnLabels[column]) {
+            cell.dataset.label = columnLabels[column];
+        }
+    });
+    
+    const beliefInput = row.querySelector('.belief-input');
+    beliefInput.addEventListener('change', () => {
+        updateBelief(ManifoldAPI.getPositionKey(position.contractId, position.answerId), beliefInput.value);
     });
+    
+    row.classList.add('position-row');
+    row.tabIndex = getRowKey(position) === focusedRowKey ? 0 : -1;
+    
+    return row;
+}
+
+function isBelowMargin(position) {
+    return position.returnIfCorrect !== null && position.returnIfCorrect < ManifoldAPI.getHurdleRate();
+}
+
+/**
+ * Outcome label (pseudo-numeric markets trade HIGHER/LOWER)
+ */
+function formatOutcome(position) {
+    if (position.pricing === 'hedged') {
+        return 'YES + NO';
+    }
+    if (position.outcomeType === 'PSEUDO_NUMERIC') {
+        return position.outcome === 'YES' ? 'HIGHER' : 'LOWER';
+    }
+    return position.outcome;
+}
+
+/**
+ * Mechanism label with a note on how the position was priced
+ */
+function formatMechanism(position) {
+    const notes = {
+        'linked-amm': 'linked answers',
+        'fair': 'fair value only',
+        'hedged': 'redeemable pairs only',
+        'none': 'not priced'
+    };
+    const note = notes[position.pricing];
+    
+    return `<span class="mechanism">${escapeHtml(position.mechanism || 'unknown')}</span>
+        ${note ? `<span class="mechanism-note mechanism-${position.pricing}">${note}</span>` : ''}`;
+}
+
+/**
+ * CSS class for an annualized return compared to the margin rate
+ */
+function getReturnClass(annualReturn) {
+    if (annualReturn === null || annualReturn === undefined) {
+        return '';
+    } else if (annualReturn >= ManifoldAPI.getHurdleRate()) {
+        return 'return-good';
+    } else if (annualReturn < 0.05) {
+        return 'return-very-low';
+    }
+    return 'return-low';
+}
+
+function formatPercent(value) {
+    if (value === null || value === undefined) return '—';
+    return `${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * Format the Kelly-suggested stake next to the difference from the current sale value
+ */
+function formatKellyStake(position) {
+    const difference = position.kellyStake - position.saleValue;
+    const sign = difference >= 0 ? '+' : '−';
+    
+    return `M$${position.kellyStake.toFixed(2)}
+        <span class="kelly-diff">${sign}M$${Math.abs(difference).toFixed(2)}</span>`;
+}
+
+/**
+ * Format the outstanding loan and the net mana freed by selling
+ */
+function formatLoan(position) {
+    if (position.loan <= 0) {
+        return '<span class="sell-hold">—</span>';
+    }
+    
+    return `M$${position.loan.toFixed(2)}
+        <span class="net-proceeds" title="Sale value plus redeemable pairs, minus the loan repaid on sale">net M$${position.netProceeds.toFixed(2)}</span>`;
+}
+
+/**
+ * Sale value through the order book and after fees, with how far it is from the AMM-only value
+ */
+function formatOrderBookSaleValue(position) {
+    if (position.orderBookSaleValue === null || position.orderBookSaleValue === undefined) {
+        return '<span class="sell-hold" title="Only single-pool AMM positions are priced through the order book">—</span>';
+    }
+    
+    const difference = position.orderBookSaleValue - position.saleValue;
+    return `M$${position.orderBookSaleValue.toFixed(2)}
+        <span class="net-proceeds ${getProfitClass(difference)}" title="Difference from the AMM-only sale value">${formatSignedMana(difference, 2)}</span>`;
+}
+
+/**
+ * Mana amount with its sign, for profits and losses
+ */
+function formatSignedMana(value, decimals) {
+    if (value === null || value === undefined) return '—';
+    
+    const rounded = Number(Math.abs(value).toFixed(decimals));
+    const sign = rounded === 0 ? '' : value > 0 ? '+' : '−';
+    return `${sign}M$${rounded.toLocaleString(undefined, { minimumFractionDigits: decimals })}`;
+}
+
+function getProfitClass(value) {
+    if (value === null || value === undefined || value === 0) return '';
+    return value > 0 ? 'profit-gain' : 'profit-loss';
+}
+
+/**
+ * Format the recommended (partial) sale for a position
+ */
+function formatSellRecommendation(position) {
+    if (position.optimalSellShares === null) {
+        return '<span class="sell-hold">—</span>';
+    }
+    
+    const sharesToSell = position.optimalSellShares;
+    
+    if (sharesToSell < 0.01) {
+        return '<span class="sell-hold">Hold</span>';
+    }
+    
+    const remaining = position.remainingReturn !== null && position.remainingReturn !== undefined
+        ? `Remaining shares return ${(position.remainingReturn * 100).toFixed(2)}%`
+        : 'Sell the whole position';
+    const amount = sharesToSell >= position.shares - 0.01 ? 'All' : sharesToSell.toFixed(1);
+    
+    const net = position.loan > 0 ? ` (net M$${position.optimalSellNet.toFixed(2)})` : '';
+    
+    return `<span class="sell-amount" title="${remaining}">${amount} ${formatOutcome(position)}</span>
+        <span class="sell-proceeds">M$${position.optimalSellValue.toFixed(2)}${net}</span>`;
+}
+
+/**
+ * Load belief probability overrides from localStorage
+ */
+function loadBeliefs() {
+    try {
+        return JSON.parse(localStorage.getItem(BELIEFS_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Save a belief override (in percent) for a position and re-analyze
+ */
+function updateBelief(key, percentText) {
+    const beliefs = loadBeliefs();
+    const percent = parseFloat(percentText);
+    
+    if (isNaN(percent)) {
+        delete beliefs[key];
+    } else {
+        beliefs[key] = Math.min(Math.max(percent, 0), 100) / 100;
+    }
+    
+    localStorage.setItem(BELIEFS_STORAGE_KEY, JSON.stringify(beliefs));
+    refreshResults();
 }
 
 // UI Helper functions
@@ -271,6 +968,18 @@ function hideError() {
     errorDiv.classList.add('hidden');
 }
 
+/**
+ * Report the outcome of something the user did, or a problem that didn't stop it
+ */
+function showNotice(message) {
+    noticeDiv.textContent = message;
+    noticeDiv.classList.remove('hidden');
+}
+
+function hideNotice() {
+    noticeDiv.classList.add('hidden');
+}
+
 function showResults() {
     resultsDiv.classList.remove('hidden');
 }
@@ -280,8 +989,8 @@ function hideResults() {
 }
 
 function setButtonLoading(isLoading) {
-    analyzeBtn.disabled = isLoading;
-    analyzeBtn.textContent = isLoading ? 'Loading...' : 'Analyze';
+    analyzeBtn.textContent = isLoading ? 'Cancel' : 'Analyze';
+    analyzeBtn.classList.toggle('cancel-btn', isLoading);
 }
 
 function escapeHtml(text) {
@@ -290,21 +999,91 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-function hideRow(button) {
-    const row = button.closest('tr');
-    row.classList.add('hidden-row');
-    updateHiddenCount();
+/**
+ * Key identifying a table row across refreshes and sessions
+ */
+function getRowKey(position) {
+    return `${(position.owner || '').toLowerCase()}:${ManifoldAPI.getPositionKey(position.contractId, position.answerId)}`;
 }
 
-function showAllRows() {
-    document.querySelectorAll('.hidden-row').forEach(row => {
-        row.classList.remove('hidden-row');
+/**
+ * Load hidden positions from localStorage: username -> position keys
+ */
+function loadHiddenPositions() {
+    try {
+        return JSON.parse(localStorage.getItem(HIDDEN_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Hide the rows these users hid in earlier sessions
+ */
+function restoreHiddenRows(usernames) {
+    const hidden = loadHiddenPositions();
+    
+    hiddenRowKeys.clear();
+    recentlyHiddenKeys.length = 0;
+    usernames.forEach(username => {
+        const owner = username.toLowerCase();
+        (hidden[owner] || []).forEach(key => hiddenRowKeys.add(`${owner}:${key}`));
     });
-    updateHiddenCount();
+}
+
+function hideRow(row) {
+    const position = renderedPositions[Number(row.dataset.index)];
+    const owner = (position.owner || '').toLowerCase();
+    const key = ManifoldAPI.getPositionKey(position.contractId, position.answerId);
+    
+    const hidden = loadHiddenPositions();
+    hidden[owner] = [...new Set([...(hidden[owner] || []), key])];
+    localStorage.setItem(HIDDEN_STORAGE_KEY, JSON.stringify(hidden));
+    
+    hiddenRowKeys.add(getRowKey(position));
+    recentlyHiddenKeys.push(getRowKey(position));
+    renderTableRows(renderedPositions);
+}
+
+/**
+ * Bring back the row hidden most recently in this session and focus it
+ */
+function restoreHiddenRow() {
+    const rowKey = recentlyHiddenKeys.pop();
+    const position = rowKey && renderedPositions.find(p => getRowKey(p) === rowKey);
+    if (!position) return;
+    
+    const owner = (position.owner || '').toLowerCase();
+    const key = ManifoldAPI.getPositionKey(position.contractId, position.answerId);
+    
+    const hidden = loadHiddenPositions();
+    hidden[owner] = (hidden[owner] || []).filter(k => k !== key);
+    localStorage.setItem(HIDDEN_STORAGE_KEY, JSON.stringify(hidden));
+    
+    hiddenRowKeys.delete(rowKey);
+    renderTableRows(renderedPositions);
+    
+    const place = visibleRowIndices.findIndex(index => getRowKey(renderedPositions[index]) === rowKey);
+    if (place !== -1) {
+        focusRowAt(place);
+    }
+}
+
+/**
+ * Bring back every hidden row of the users being analyzed
+ */
+function showAllRows() {
+    const hidden = loadHiddenPositions();
+    renderedPositions.forEach(position => delete hidden[(position.owner || '').toLowerCase()]);
+    localStorage.setItem(HIDDEN_STORAGE_KEY, JSON.stringify(hidden));
+    
+    hiddenRowKeys.clear();
+    recentlyHiddenKeys.length = 0;
+    renderTableRows(renderedPositions);
 }
 
 function updateHiddenCount() {
-    const hiddenCount = document.querySelectorAll('.hidden-row').length;
+    const hiddenCount = renderedPositions.filter(position => hiddenRowKeys.has(getRowKey(position))).length;
     let showAllBtn = document.getElementById('show-all-btn');
     
     if (hiddenCount > 0) {
@@ -312,7 +1091,7 @@ function updateHiddenCount() {
             showAllBtn = document.createElement('button');
             showAllBtn.id = 'show-all-btn';
             showAllBtn.className = 'show-all-btn';
-            showAllBtn.onclick = showAllRows;
+            showAllBtn.addEventListener('click', showAllRows);
             document.querySelector('.summary').appendChild(showAllBtn);
         }
         showAllBtn.textContent = `Show ${hiddenCount} hidden row${hiddenCount > 1 ? 's' : ''}`;
@@ -0,0 +1,91 @@
+/**
+ * Browser response cache for the API layer: recent API responses are kept in
+ * IndexedDB (or localStorage where IndexedDB is unavailable), so reloading a
+ * shared link shortly after an analysis doesn't refetch everything
+ */
+
+const CACHE_DB_NAME = 'manifold-analyzer-cache';
+const CACHE_STORE = 'responses';
+const CACHE_STORAGE_PREFIX = 'manifold-analyzer-cache:';
+
+function openCacheDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(CACHE_DB_NAME, 1);
+        
+        request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request against the cache store and resolve with its result
+ */
+async function withCacheStore(mode, callback) {
+    const db = await openCacheDb();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(CACHE_STORE, mode);
+        const request = callback(transaction.objectStore(CACHE_STORE));
+        
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Delete entries that are too old to be served again
+ */
+function pruneCacheStore(store) {
+    const cutoff = Date.now() - ManifoldAPI.CACHE_TTL_MS;
+    
+    store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        
+        if (cursor.value.storedAt < cutoff) {
+            cursor.delete();
+        }
+        cursor.continue();
+    };
+}
+
+const indexedDbCache = {
+    get: (key) => withCacheStore('readonly', store => store.get(key)),
+    set: (key, entry) => withCacheStore('readwrite', store => {
+        pruneCacheStore(store);
+        store.put(entry, key);
+    })
+};
+
+const localStorageCache = {
+    async get(key) {
+        const stored = localStorage.getItem(CACHE_STORAGE_PREFIX + key);
+        return stored ? JSON.parse(stored) : null;
+    },
+    async set(key, entry) {
+        const cutoff = Date.now() - ManifoldAPI.CACHE_TTL_MS;
+        
+        Object.keys(localStorage)
+            .filter(storageKey => storageKey.startsWith(CACHE_STORAGE_PREFIX))
+            .forEach(storageKey => {
+                try {
+                    if (JSON.parse(localStorage.getItem(storageKey)).storedAt < cutoff) {
+                        localStorage.removeItem(storageKey);
+                    }
+                } catch (error) {
+                    localStorage.removeItem(storageKey);
+                }
+            });
+        
+        localStorage.setItem(CACHE_STORAGE_PREFIX + key, JSON.stringify(entry));
+    }
+};
+
+ManifoldAPI.setResponseCache(typeof indexedDB !== 'undefined' ? indexedDbCache : localStorageCache);
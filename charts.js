@@ -0,0 +1,119 @@
+/**
+ * Small SVG charts, drawn by hand so the page needs no charting library
+ */
+
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 16, right: 16, bottom: 40, left: 56 };
+
+/**
+ * Evenly spaced ticks from 0 (or min) to max
+ */
+function getChartTicks(min, max, count) {
+    return Array.from({ length: count + 1 }, (_, i) => min + (max - min) * i / count);
+}
+
+/**
+ * Line chart as an SVG string
+ * options: { points: [{ x, y }], xLabel, yLabel, formatX, formatY,
+ *            marker: { x, label } (optional vertical line) }
+ */
+function renderLineChart(options) {
+    const { points, xLabel, yLabel, marker } = options;
+    const formatX = options.formatX || (value => value.toFixed(0));
+    const formatY = options.formatY || (value => value.toFixed(2));
+    
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    
+    const xMax = Math.max(...points.map(point => point.x)) || 1;
+    const yValues = points.map(point => point.y);
+    const yMin = Math.min(0, ...yValues);
+    const yMax = Math.max(...yValues) || 1;
+    
+    const toX = x => CHART_PADDING.left + (x / xMax) * plotWidth;
+    const toY = y => CHART_PADDING.top + plotHeight - ((y - yMin) / (yMax - yMin)) * plotHeight;
+    
+    const path = points
+        .map((point, i) => `${i === 0 ? 'M' : 'L'}${toX(point.x).toFixed(1)},${toY(point.y).toFixed(1)}`)
+        .join(' ');
+    
+    const xTicks = getChartTicks(0, xMax, 4).map(x => `
+        <line class="chart-grid" x1="${toX(x)}" x2="${toX(x)}" y1="${CHART_PADDING.top}" y2="${CHART_PADDING.top + plotHeight}"></line>
+        <text class="chart-tick" x="${toX(x)}" y="${CHART_PADDING.top + plotHeight + 16}" text-anchor="middle">${escapeHtml(formatX(x))}</text>
+    `).join('');
+    
+    const yTicks = getChartTicks(yMin, yMax, 4).map(y => `
+        <line class="chart-grid" x1="${CHART_PADDING.left}" x2="${CHART_PADDING.left + plotWidth}" y1="${toY(y)}" y2="${toY(y)}"></line>
+        <text class="chart-tick" x="${CHART_PADDING.left - 6}" y="${toY(y) + 4}" text-anchor="end">${escapeHtml(formatY(y))}</text>
+    `).join('');
+    
+    let markerSvg = '';
+    if (marker && marker.x >= 0 && marker.x <= xMax) {
+        // Keep the label inside the plot: left of the line on the right half
+        const markerX = toX(marker.x);
+        const onRight = markerX > CHART_PADDING.left + plotWidth / 2;
+        markerSvg = `
+            <line class="chart-marker" x1="${markerX}" x2="${markerX}" y1="${CHART_PADDING.top}" y2="${CHART_PADDING.top + plotHeight}"></line>
+            <text class="chart-marker-label" x="${onRight ? markerX - 4 : markerX + 4}" y="${CHART_PADDING.top + 12}"
+                text-anchor="${onRight ? 'end' : 'start'}">${escapeHtml(marker.label)}</text>
+        `;
+    }
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(`${yLabel} by ${xLabel}`)}">
+            ${xTicks}
+            ${yTicks}
+            <path class="chart-line" d="${path}"></path>
+            ${markerSvg}
+            <text class="chart-axis-label" x="${CHART_PADDING.left + plotWidth / 2}" y="${CHART_HEIGHT - 6}" text-anchor="middle">${escapeHtml(xLabel)}</text>
+            <text class="chart-axis-label" transform="rotate(-90)" x="${-(CHART_PADDING.top + plotHeight / 2)}" y="14" text-anchor="middle">${escapeHtml(yLabel)}</text>
+        </svg>
+    `;
+}
+
+/**
+ * Bar chart as an SVG string
+ * options: { bars: [{ label, value, className, title }], yLabel, formatY }
+ */
+function renderBarChart(options) {
+    const { bars, yLabel } = options;
+    const formatY = options.formatY || (value => value.toFixed(0));
+    
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    
+    const yMax = Math.max(...bars.map(bar => bar.value), 0) || 1;
+    const slot = plotWidth / Math.max(bars.length, 1);
+    const barWidth = Math.max(slot * 0.7, 1);
+    const toY = y => CHART_PADDING.top + plotHeight - (y / yMax) * plotHeight;
+    
+    // Thin out the labels when there are too many to fit
+    const labelEvery = Math.ceil(bars.length / 12);
+    
+    const yTicks = getChartTicks(0, yMax, 4).map(y => `
+        <line class="chart-grid" x1="${CHART_PADDING.left}" x2="${CHART_PADDING.left + plotWidth}" y1="${toY(y)}" y2="${toY(y)}"></line>
+        <text class="chart-tick" x="${CHART_PADDING.left - 6}" y="${toY(y) + 4}" text-anchor="end">${escapeHtml(formatY(y))}</text>
+    `).join('');
+    
+    const barsSvg = bars.map((bar, i) => {
+        const x = CHART_PADDING.left + slot * i + (slot - barWidth) / 2;
+        const label = i % labelEvery === 0
+            ? `<text class="chart-tick" x="${x + barWidth / 2}" y="${CHART_PADDING.top + plotHeight + 16}" text-anchor="middle">${escapeHtml(bar.label)}</text>`
+            : '';
+        return `
+            <rect class="chart-bar ${bar.className || ''}" x="${x}" y="${toY(bar.value)}" width="${barWidth}" height="${CHART_PADDING.top + plotHeight - toY(bar.value)}">
+                <title>${escapeHtml(bar.title || `${bar.label}: ${formatY(bar.value)}`)}</title>
+            </rect>
+            ${label}
+        `;
+    }).join('');
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(yLabel)}">
+            ${yTicks}
+            ${barsSvg}
+            <text class="chart-axis-label" transform="rotate(-90)" x="${-(CHART_PADDING.top + plotHeight / 2)}" y="14" text-anchor="middle">${escapeHtml(yLabel)}</text>
+        </svg>
+    `;
+}
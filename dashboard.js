@@ -0,0 +1,168 @@
+/**
+ * Portfolio dashboard over all positions (not just the below-margin ones):
+ * return distribution, maturity ladder and concentration
+ */
+
+const CONCENTRATION_TOP_N = [1, 5, 10];
+const RETURN_BIN_EDGES = [0, 0.05, 0.1, 0.25, 0.5, 1, 2];
+
+/**
+ * Histogram of returnIfCorrect. The hurdle rate is one of the bin edges, so
+ * every bin is entirely below or above it.
+ */
+function getReturnHistogram(positions, hurdleRate) {
+    const edges = [...new Set([...RETURN_BIN_EDGES, hurdleRate])].sort((a, b) => a - b);
+    const bins = edges.map((from, i) => ({
+        from,
+        to: i + 1 < edges.length ? edges[i + 1] : Infinity,
+        count: 0,
+        saleValue: 0
+    }));
+    
+    positions.forEach(p => {
+        if (p.returnIfCorrect === null) return;
+        
+        const bin = bins.find(b => p.returnIfCorrect < b.to) || bins[bins.length - 1];
+        bin.count++;
+        bin.saleValue += p.saleValue;
+    });
+    
+    return bins;
+}
+
+/**
+ * Payout (shares) and sale value grouped by the month each market is
+ * expected to resolve
+ */
+function getMaturityLadder(positions, now) {
+    const months = new Map();
+    let undated = null;
+    
+    positions.forEach(p => {
+        let key = null;
+        if (p.daysUntilResolution !== null && p.daysUntilResolution !== undefined) {
+            const resolution = new Date(now + p.daysUntilResolution * 24 * 60 * 60 * 1000);
+            key = `${resolution.getFullYear()}-${String(resolution.getMonth() + 1).padStart(2, '0')}`;
+        }
+        
+        if (key === null) {
+            undated = undated || { month: null, positions: 0, payout: 0, saleValue: 0 };
+            undated.positions++;
+            undated.payout += p.shares;
+            undated.saleValue += p.saleValue;
+            return;
+        }
+        
+        if (!months.has(key)) {
+            months.set(key, { month: key, positions: 0, payout: 0, saleValue: 0 });
+        }
+        const rung = months.get(key);
+        rung.positions++;
+        rung.payout += p.shares;
+        rung.saleValue += p.saleValue;
+    });
+    
+    // Fill in empty months so the ladder has an even time axis
+    const keys = [...months.keys()].sort();
+    const ladder = [];
+    if (keys.length > 0) {
+        let [year, month] = keys[0].split('-').map(Number);
+        const last = keys[keys.length - 1];
+        
+        while (true) {
+            const key = `${year}-${String(month).padStart(2, '0')}`;
+            ladder.push(months.get(key) || { month: key, positions: 0, payout: 0, saleValue: 0 });
+            if (key === last) break;
+            
+            month++;
+            if (month > 12) {
+                month = 1;
+                year++;
+            }
+        }
+    }
+    
+    return undated ? [...ladder, undated] : ladder;
+}
+
+/**
+ * Share of the portfolio's sale value held in the N largest positions
+ */
+function getConcentration(positions, counts) {
+    const values = positions.map(p => p.saleValue).sort((a, b) => b - a);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    
+    return counts.map(n => {
+        const value = values.slice(0, n).reduce((sum, v) => sum + v, 0);
+        return { n, value, share: total > 0 ? value / total : 0 };
+    });
+}
+
+function formatReturnBin(bin) {
+    const pct = value => `${+(value * 100).toFixed(1)}%`;
+    return bin.to === Infinity ? `${pct(bin.from)}+` : `${pct(bin.from)}–${pct(bin.to)}`;
+}
+
+/**
+ * Render the dashboard if it is open
+ */
+function renderDashboard(positions) {
+    const dashboard = document.getElementById('dashboard');
+    if (!dashboard.open) return;
+    
+    const hurdleRate = ManifoldAPI.getHurdleRate();
+    const totalSaleValue = positions.reduce((sum, p) => sum + p.saleValue, 0);
+    const totalPayout = positions.reduce((sum, p) => sum + p.shares, 0);
+    const weightedReturn = getBlendedReturn(positions.map(p => ({
+        equity: getPositionEquity(p),
+        returnIfCorrect: p.returnIfCorrect
+    })));
+    const concentration = getConcentration(positions, CONCENTRATION_TOP_N);
+    const histogram = getReturnHistogram(positions, hurdleRate);
+    const ladder = getMaturityLadder(positions, currentRunTimestamp || Date.now());
+    
+    const mana = value => `M$${Math.round(value).toLocaleString()}`;
+    
+    document.getElementById('dashboard-body').innerHTML = `
+        <div class="dashboard-stats">
+            <div><span>Portfolio sale value</span>${mana(totalSaleValue)}</div>
+            <div><span>Payout if all correct</span>${mana(totalPayout)}</div>
+            <div>
+                <span>Capital-weighted return if correct</span>
+                <span class="${getReturnClass(weightedReturn)}">${formatPercent(weightedReturn)}</span>
+            </div>
+            ${concentration.map(c => `
+                <div title="${mana(c.value)}"><span>Top ${c.n} position${c.n > 1 ? 's' : ''}</span>${(c.share * 100).toFixed(1)}% of portfolio</div>
+            `).join('')}
+        </div>
+        
+        <div class="dashboard-charts">
+            <div>
+                <h3>Return if correct</h3>
+                ${renderBarChart({
+                    bars: histogram.map(bin => ({
+                        label: formatReturnBin(bin),
+                        value: bin.count,
+                        className: bin.to <= hurdleRate ? 'bar-below' : 'bar-above',
+                        title: `${formatReturnBin(bin)}: ${bin.count} positions, ${mana(bin.saleValue)}`
+                    })),
+                    yLabel: 'Positions'
+                })}
+                <p class="detail-note">Red bars are below the hurdle rate (${formatPercent(hurdleRate)}).</p>
+            </div>
+            <div>
+                <h3>Maturity ladder</h3>
+                ${ladder.length > 0 ? renderBarChart({
+                    bars: ladder.map(rung => ({
+                        label: rung.month || 'none',
+                        value: rung.payout,
+                        title: `${rung.month || 'No resolution date'}: ${mana(rung.payout)} payout, ${rung.positions} positions`
+                    })),
+                    yLabel: 'Payout (M$)',
+                    formatY: value => Math.round(value).toLocaleString()
+                }) : '<p class="compare-empty">No positions.</p>'}
+                <p class="detail-note">Payout if correct, by the month each market is expected to resolve.</p>
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,152 @@
+/**
+ * Position detail panel: the sell curve of one position, with pool data and
+ * what selling part of it would do to the price
+ */
+
+const SELL_CURVE_STEPS = 40;
+const SELL_SIZE_FRACTIONS = [0.1, 0.25, 0.5, 1];
+
+// Contracts of the current analysis by id, for looking up pools
+const currentContracts = new Map();
+
+// The position shown in the panel, and what had focus before it opened
+let detailPosition = null;
+let detailOpener = null;
+
+function rememberContracts(contracts) {
+    contracts.forEach(contract => currentContracts.set(contract.id, contract));
+}
+
+/**
+ * Open the detail panel for a position
+ */
+function openDetailPanel(position) {
+    detailPosition = position;
+    const panel = document.getElementById('detail-panel');
+    if (panel.classList.contains('hidden')) {
+        detailOpener = document.activeElement;
+    }
+    document.getElementById('detail-body').innerHTML = renderPositionDetail(position);
+    panel.classList.remove('hidden');
+    panel.querySelector('.detail-close').focus();
+}
+
+/**
+ * Close the panel, returning focus to the row or control that opened it
+ */
+function closeDetailPanel() {
+    const panel = document.getElementById('detail-panel');
+    if (panel.classList.contains('hidden')) return;
+    
+    panel.classList.add('hidden');
+    if (detailOpener && detailOpener.isConnected) {
+        detailOpener.focus();
+    }
+    detailOpener = null;
+}
+
+// Close with Escape or by clicking outside the panel
+document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+        closeDetailPanel();
+    }
+});
+
+document.getElementById('detail-panel').addEventListener('click', (event) => {
+    if (event.target.id === 'detail-panel') {
+        closeDetailPanel();
+    }
+});
+
+function renderPositionDetail(position) {
+    const title = `
+        <h2>${escapeHtml(position.question)}</h2>
+        ${position.answer ? `<p class="detail-answer">↳ ${escapeHtml(position.answer)}</p>` : ''}
+        <p class="detail-meta">
+            ${position.shares.toFixed(1)} ${formatOutcome(position)}
+            ${position.owner && currentAccounts.length > 1 ? `· ${escapeHtml(position.owner)}` : ''}
+            · <a href="${escapeHtml(position.url)}" target="_blank" class="market-link">Open on Manifold</a>
+        </p>
+        ${renderResolutionForm(position)}
+    `;
+    
+    const contract = currentContracts.get(position.contractId);
+    const sizes = Array.from({ length: SELL_CURVE_STEPS + 1 }, (_, i) => position.shares * i / SELL_CURVE_STEPS);
+    const curve = contract && position.shares > 0
+        ? ManifoldAPI.calculateSellCurve(contract, position.answerId, position.outcome, [
+            ...sizes,
+            ...SELL_SIZE_FRACTIONS.map(fraction => position.shares * fraction)
+        ])
+        : null;
+    
+    if (!curve) {
+        return `${title}<p class="compare-empty">This position isn't priced through an AMM, so there is no sell curve.</p>`;
+    }
+    
+    const curvePoints = curve.points.slice(0, sizes.length);
+    const sizePoints = curve.points.slice(sizes.length);
+    const breakEven = position.optimalSellShares === null ? null : {
+        x: position.optimalSellShares,
+        label: position.optimalSellShares > 0 ? `Sell to margin: ${position.optimalSellShares.toFixed(1)}` : 'Hold'
+    };
+    
+    const pct = value => value === null ? '—' : `${(value * 100).toFixed(1)}%`;
+    
+    return `
+        ${title}
+        <div class="detail-facts">
+            <div><span>Pool YES</span>${curve.pool.YES.toFixed(1)}</div>
+            <div><span>Pool NO</span>${curve.pool.NO.toFixed(1)}</div>
+            <div><span>p</span>${curve.p.toFixed(3)}</div>
+            <div><span>Probability</span>${pct(curve.probability)}</div>
+            <div><span>Pricing</span>${formatMechanism(position)}</div>
+        </div>
+        
+        <div class="detail-charts">
+            ${renderLineChart({
+                points: curvePoints.map(point => ({ x: point.sharesSold, y: point.proceeds })),
+                xLabel: 'Shares sold',
+                yLabel: 'Proceeds (M$)',
+                marker: breakEven
+            })}
+            ${renderLineChart({
+                points: curvePoints.map(point => ({ x: point.sharesSold, y: point.averagePrice })),
+                xLabel: 'Shares sold',
+                yLabel: 'Average price (M$)',
+                formatY: value => value.toFixed(3),
+                marker: breakEven
+            })}
+        </div>
+        <p class="detail-note">
+            The marker is the break-even point: selling up to it leaves shares whose marginal
+            return if correct equals the hurdle rate (${pct(ManifoldAPI.getHurdleRate())} a year).
+        </p>
+        
+        <table class="detail-table">
+            <thead>
+                <tr>
+                    <th>Sell</th>
+                    <th class="right">Shares</th>
+                    <th class="right">Proceeds</th>
+                    <th class="right">Avg price</th>
+                    <th class="right">Slippage</th>
+                    <th class="right">Probability after</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${sizePoints.map((point, i) => `
+                    <tr>
+                        <td>${SELL_SIZE_FRACTIONS[i] * 100}%</td>
+                        <td class="right">${point.sharesSold.toFixed(1)}</td>
+                        <td class="right">M$${point.proceeds.toFixed(2)}</td>
+                        <td class="right">${point.averagePrice.toFixed(3)}</td>
+                        <td class="right">${pct(point.slippage)}</td>
+                        <td class="right">${pct(point.probability)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        ${renderSellForm(position)}
+    `;
+}
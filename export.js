@@ -0,0 +1,114 @@
+/**
+ * Export the positions shown in the table (sorted, filtered, without hidden rows)
+ * as CSV or JSON
+ */
+
+// Leading columns; every other field computed by processPositions follows
+const EXPORT_LEADING_FIELDS = ['runTimestamp', 'owner', 'contractId', 'answerId', 'question', 'answer', 'url'];
+
+/**
+ * Positions in the order they are shown, skipping hidden rows
+ */
+function getExportPositions() {
+    return visibleRowIndices.map(index => renderedPositions[index]);
+}
+
+/**
+ * Flatten positions into export records stamped with the run time
+ */
+function toExportRecords(positions, runTimestamp) {
+    const runTime = new Date(runTimestamp).toISOString();
+    return positions.map(position => ({ runTimestamp: runTime, ...position }));
+}
+
+/**
+ * Column order: the leading fields, then every other field in first-seen order
+ */
+function getExportFields(records, leadingFields = EXPORT_LEADING_FIELDS) {
+    const fields = [...leadingFields];
+    records.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (!fields.includes(key)) {
+                fields.push(key);
+            }
+        });
+    });
+    return fields;
+}
+
+/**
+ * Quote a CSV field per RFC 4180. Text that a spreadsheet would read as a
+ * formula (market questions are written by anyone) is prefixed with '.
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    
+    let text;
+    if (Array.isArray(value)) {
+        text = value.join(';');
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+    
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function recordsToCsv(records, leadingFields) {
+    const fields = getExportFields(records, leadingFields);
+    const lines = [
+        fields.map(toCsvField).join(','),
+        ...records.map(record => fields.map(field => toCsvField(record[field])).join(','))
+    ];
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Save text as a file download
+ */
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function getExportFilename(extension, suffix) {
+    const owners = [...new Set(currentAccounts.map(a => a.username))].join('-') || 'portfolio';
+    const date = new Date(currentRunTimestamp).toISOString().slice(0, 10);
+    return `manifold-${owners}${suffix ? `-${suffix}` : ''}-${date}.${extension}`;
+}
+
+function exportCsv() {
+    const records = toExportRecords(getExportPositions(), currentRunTimestamp);
+    
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    downloadFile(getExportFilename('csv'), '\uFEFF' + recordsToCsv(records), 'text/csv;charset=utf-8');
+}
+
+function exportJson() {
+    const records = toExportRecords(getExportPositions(), currentRunTimestamp);
+    const content = JSON.stringify({
+        runTimestamp: new Date(currentRunTimestamp).toISOString(),
+        hurdleRate: ManifoldAPI.getHurdleRate(),
+        hurdleModel: ManifoldAPI.getHurdleModel(),
+        positions: records
+    }, null, 2);
+    
+    downloadFile(getExportFilename('json'), content, 'application/json');
+}
+
+// The record and CSV helpers are shared with the command-line tool
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { toExportRecords, recordsToCsv };
+}
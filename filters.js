@@ -0,0 +1,282 @@
+/**
+ * Filter bar and saved views for the positions table
+ * Active filters are encoded in the URL so shared links show the same rows
+ */
+
+const VIEWS_STORAGE_KEY = 'manifold-analyzer-views';
+
+const filterOutcomeSelect = document.getElementById('filter-outcome');
+const filterTopicSelect = document.getElementById('filter-topic');
+const filterSearchInput = document.getElementById('filter-search');
+const filterViewSelect = document.getElementById('filter-view');
+
+/**
+ * Numeric filters: field name, URL parameter and input id. The inputs show
+ * probabilities and returns in percent; filters and URLs hold fractions.
+ */
+const NUMERIC_FILTERS = [
+    { field: 'probabilityMin', param: 'pmin', input: 'filter-prob-min', percent: true },
+    { field: 'probabilityMax', param: 'pmax', input: 'filter-prob-max', percent: true },
+    { field: 'daysMin', param: 'dmin', input: 'filter-days-min' },
+    { field: 'daysMax', param: 'dmax', input: 'filter-days-max' },
+    { field: 'returnMin', param: 'rmin', input: 'filter-return-min', percent: true },
+    { field: 'returnMax', param: 'rmax', input: 'filter-return-max', percent: true },
+    { field: 'minSaleValue', param: 'minsale', input: 'filter-min-sale' }
+];
+
+// Views that are always available; saved views are added after these
+const BUILT_IN_VIEWS = {
+    'Closing this month': { daysMax: 31 },
+    'Long shots': { probabilityMax: 0.2 }
+};
+
+let currentFilters = {};
+
+/**
+ * Read filters from URL parameters
+ */
+function filtersFromParams(params) {
+    const filters = {};
+    
+    if (['YES', 'NO'].includes(params.get('outcome'))) {
+        filters.outcome = params.get('outcome');
+    }
+    if (params.get('topic')) {
+        filters.topic = params.get('topic');
+    }
+    
+    NUMERIC_FILTERS.forEach(({ field, param }) => {
+        const value = parseFloat(params.get(param));
+        if (!isNaN(value)) {
+            filters[field] = value;
+        }
+    });
+    
+    if (params.get('q')) {
+        filters.search = params.get('q');
+    }
+    
+    return filters;
+}
+
+/**
+ * Write the active filters into URL parameters
+ */
+function filtersToParams(filters, params) {
+    if (filters.outcome) {
+        params.set('outcome', filters.outcome);
+    }
+    if (filters.topic) {
+        params.set('topic', filters.topic);
+    }
+    NUMERIC_FILTERS.forEach(({ field, param }) => {
+        if (filters[field] !== undefined) {
+            params.set(param, filters[field]);
+        }
+    });
+    if (filters.search) {
+        params.set('q', filters.search);
+    }
+    return params;
+}
+
+/**
+ * Whether a position passes the filters. Probability is that of the side
+ * the position is on; bounds exclude positions without a value.
+ */
+function matchesFilters(position, filters) {
+    if (filters.outcome && position.outcome !== filters.outcome) return false;
+    if (filters.topic && !(position.groupSlugs || []).includes(filters.topic)) return false;
+    
+    const winProbability = position.probability === null ? null
+        : position.outcome === 'YES' ? position.probability : 1 - position.probability;
+    const values = {
+        probability: winProbability,
+        days: position.daysUntilClose,
+        return: position.returnIfCorrect
+    };
+    
+    for (const name of ['probability', 'days', 'return']) {
+        const min = filters[`${name}Min`];
+        const max = filters[`${name}Max`];
+        if (min === undefined && max === undefined) continue;
+        
+        const value = values[name];
+        if (value === null || value === undefined) return false;
+        if (min !== undefined && value < min) return false;
+        if (max !== undefined && value > max) return false;
+    }
+    
+    if (filters.minSaleValue !== undefined && position.saleValue < filters.minSaleValue) return false;
+    
+    if (filters.search) {
+        const text = `${position.question} ${position.answer || ''}`.toLowerCase();
+        if (!text.includes(filters.search.toLowerCase())) return false;
+    }
+    
+    return true;
+}
+
+function hasActiveFilters(filters) {
+    return Object.keys(filters).length > 0;
+}
+
+/**
+ * Fill the filter bar from the current filters
+ */
+function populateFilterBar() {
+    filterOutcomeSelect.value = currentFilters.outcome || '';
+    filterTopicSelect.value = currentFilters.topic || '';
+    NUMERIC_FILTERS.forEach(({ field, input, percent }) => {
+        const value = currentFilters[field];
+        document.getElementById(input).value = value === undefined ? '' : +(percent ? value * 100 : value).toFixed(4);
+    });
+    filterSearchInput.value = currentFilters.search || '';
+    
+    populateViewSelect();
+}
+
+/**
+ * Read the filter bar into the current filters and re-render the table
+ */
+function applyFilters() {
+    const filters = {};
+    
+    if (filterOutcomeSelect.value) {
+        filters.outcome = filterOutcomeSelect.value;
+    }
+    if (filterTopicSelect.value) {
+        filters.topic = filterTopicSelect.value;
+    }
+    NUMERIC_FILTERS.forEach(({ field, input, percent }) => {
+        const value = parseFloat(document.getElementById(input).value);
+        if (!isNaN(value)) {
+            filters[field] = percent ? value / 100 : value;
+        }
+    });
+    if (filterSearchInput.value.trim()) {
+        filters.search = filterSearchInput.value.trim();
+    }
+    
+    setFilters(filters);
+}
+
+/**
+ * List the topics of the analyzed positions in the topic filter, keeping
+ * one picked from a shared link even if no position has it
+ */
+function populateTopicSelect(positions) {
+    const topics = new Set(positions.flatMap(p => p.groupSlugs || []));
+    if (currentFilters.topic) {
+        topics.add(currentFilters.topic);
+    }
+    
+    filterTopicSelect.innerHTML = `
+        <option value="">Any</option>
+        ${[...topics].sort().map(topic => `<option value="${escapeHtml(topic)}">${escapeHtml(topic)}</option>`).join('')}
+    `;
+    filterTopicSelect.value = currentFilters.topic || '';
+}
+
+function clearFilters() {
+    setFilters({});
+    populateFilterBar();
+}
+
+/**
+ * Make filters current: update the URL and the table
+ */
+function setFilters(filters) {
+    currentFilters = filters;
+    populateViewSelect();
+    
+    const usernames = parseUsernames(usernameInput.value);
+    if (usernames.length > 0) {
+        updateShareUrl(usernames, true);
+    }
+    renderTableRows(renderedPositions);
+}
+
+/**
+ * Show how many rows the filters let through
+ */
+function updateFilterCount(shownCount, totalCount) {
+    document.getElementById('filter-count').textContent = hasActiveFilters(currentFilters)
+        ? `Showing ${shownCount} of ${totalCount} positions`
+        : '';
+}
+
+/**
+ * Load saved views from localStorage
+ */
+function loadSavedViews() {
+    try {
+        return JSON.parse(localStorage.getItem(VIEWS_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function getAllViews() {
+    return { ...BUILT_IN_VIEWS, ...loadSavedViews() };
+}
+
+/**
+ * Name of the view with exactly these filters, if any
+ */
+function findViewName(filters) {
+    const encode = f => filtersToParams(f, new URLSearchParams()).toString();
+    const match = Object.entries(getAllViews()).find(([, viewFilters]) => encode(viewFilters) === encode(filters));
+    return match ? match[0] : null;
+}
+
+function populateViewSelect() {
+    const savedViews = loadSavedViews();
+    const option = name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`;
+    
+    filterViewSelect.innerHTML = `
+        <option value="">Custom</option>
+        <optgroup label="Built in">${Object.keys(BUILT_IN_VIEWS).map(option).join('')}</optgroup>
+        ${Object.keys(savedViews).length > 0
+            ? `<optgroup label="Saved">${Object.keys(savedViews).map(option).join('')}</optgroup>`
+            : ''}
+    `;
+    filterViewSelect.value = findViewName(currentFilters) || '';
+    document.getElementById('delete-view-btn').disabled = !(filterViewSelect.value in savedViews);
+}
+
+/**
+ * Switch to the view picked in the views menu
+ */
+function selectView() {
+    const view = getAllViews()[filterViewSelect.value];
+    if (!view) return;
+    
+    setFilters({ ...view });
+    populateFilterBar();
+}
+
+/**
+ * Save the current filters as a named view
+ */
+function saveView() {
+    const name = (prompt('Name this view:', filterViewSelect.value || '') || '').trim();
+    if (!name) return;
+    
+    if (name in BUILT_IN_VIEWS) {
+        showError(`"${name}" is a built-in view; pick another name`);
+        return;
+    }
+    
+    const savedViews = loadSavedViews();
+    savedViews[name] = currentFilters;
+    localStorage.setItem(VIEWS_STORAGE_KEY, JSON.stringify(savedViews));
+    populateViewSelect();
+}
+
+function deleteView() {
+    const savedViews = loadSavedViews();
+    delete savedViews[filterViewSelect.value];
+    localStorage.setItem(VIEWS_STORAGE_KEY, JSON.stringify(savedViews));
+    populateViewSelect();
+}
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Command-line analysis for scripts and scheduled jobs
+ *
+ *   node manifold-analyze.js <username...> [--format table|csv|json]
+ *       [--threshold 0.11] [--below-only] [--api-url URL]
+ *
+ * Exit codes: 0 when no position is below the threshold, 1 when at least one
+ * is, 2 on bad arguments or a failed analysis.
+ */
+
+const { parseArgs } = require('util');
+const ManifoldAPI = require('./manifold-api');
+const { toExportRecords, recordsToCsv } = require('./export');
+
+const EXIT_NONE_BELOW = 0;
+const EXIT_SOME_BELOW = 1;
+const EXIT_ERROR = 2;
+
+const FORMATS = ['table', 'csv', 'json'];
+
+const USAGE = `Usage: node manifold-analyze.js <username...> [options]
+
+Options:
+  --format <table|csv|json>  Output format (default: table)
+  --threshold <rate>         Annual hurdle rate, e.g. 0.11 for 11%
+                             (default: the margin loan rate)
+  --below-only               Only list positions below the threshold
+  --api-url <url>            API base URL (default: the Manifold API)
+  -h, --help                 Show this help
+
+Exits 0 when no position is below the threshold, 1 when at least one is,
+and 2 on errors.`;
+
+/**
+ * Parse command-line arguments; throws on anything invalid
+ */
+function parseOptions(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'table' },
+            threshold: { type: 'string' },
+            'below-only': { type: 'boolean', default: false },
+            'api-url': { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals.length === 0) {
+        throw new Error('Give at least one username');
+    }
+    if (!FORMATS.includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}" (expected ${FORMATS.join(', ')})`);
+    }
+    
+    let threshold = null;
+    if (values.threshold !== undefined) {
+        threshold = Number(values.threshold);
+        if (values.threshold.trim() === '' || !isFinite(threshold) || threshold < 0) {
+            throw new Error(`Invalid threshold "${values.threshold}" (expected an annual rate such as 0.11)`);
+        }
+    }
+    
+    return {
+        usernames: positionals,
+        format: values.format,
+        threshold,
+        belowOnly: values['below-only'],
+        apiUrl: values['api-url'] || null
+    };
+}
+
+function formatMana(value) {
+    return `M$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+function formatPercent(value) {
+    if (value === null || value === undefined) return '—';
+    return `${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * Plain-text table of positions, one per line
+ */
+function formatTable(positions, showOwner) {
+    const columns = [
+        ...(showOwner ? [{ title: 'Owner', value: p => p.owner }] : []),
+        {
+            title: 'Market',
+            value: p => {
+                const text = p.answer ? `${p.question} — ${p.answer}` : p.question;
+                return text.length > 60 ? `${text.slice(0, 59)}…` : text;
+            }
+        },
+        { title: 'Side', value: p => p.outcome },
+        { title: 'Shares', value: p => p.shares.toFixed(1), right: true },
+        { title: 'Sale value', value: p => formatMana(p.saleValue), right: true },
+        { title: 'Days', value: p => p.daysUntilResolution === null ? '—' : Math.ceil(p.daysUntilResolution).toString(), right: true },
+        { title: 'Return if correct', value: p => formatPercent(p.returnIfCorrect), right: true }
+    ];
+    
+    const rows = positions.map(p => columns.map(column => column.value(p)));
+    const widths = columns.map((column, i) => Math.max(column.title.length, ...rows.map(row => row[i].length)));
+    const formatRow = cells => cells
+        .map((cell, i) => columns[i].right ? cell.padStart(widths[i]) : cell.padEnd(widths[i]))
+        .join('  ')
+        .trimEnd();
+    
+    return [
+        formatRow(columns.map(column => column.title)),
+        formatRow(widths.map(width => '-'.repeat(width))),
+        ...rows.map(formatRow)
+    ].join('\n') + '\n';
+}
+
+/**
+ * Fetch and analyze the accounts; resolves to the positions in the order
+ * the page shows them, each with its owner
+ */
+async function analyze(usernames, onProgress) {
+    const positions = [];
+    
+    for (const username of usernames) {
+        const userId = await ManifoldAPI.getUserId(username, { onRetry: onProgress });
+        const rawData = await ManifoldAPI.getUserPositions(userId, onProgress);
+        
+        ManifoldAPI.processPositions(rawData).forEach(position => {
+            positions.push({ ...position, owner: username });
+        });
+    }
+    
+    return ManifoldAPI.getAllPositionsSorted(positions);
+}
+
+/**
+ * Run the command; resolves to the exit code
+ */
+async function main(args, stdout = process.stdout, stderr = process.stderr) {
+    let options;
+    try {
+        options = parseOptions(args);
+    } catch (error) {
+        stderr.write(`manifold-analyze: ${error.message}\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+    
+    if (options.help) {
+        stdout.write(`${USAGE}\n`);
+        return EXIT_NONE_BELOW;
+    }
+    
+    ManifoldAPI.setApiBaseUrl(options.apiUrl);
+    
+    // With simple annualization the daily rate maps back to exactly the threshold
+    ManifoldAPI.setHurdleModel(options.threshold === null ? {} : {
+        source: 'custom',
+        dailyRate: options.threshold / 365
+    });
+    
+    // Progress goes to stderr, and only when someone is watching
+    const onProgress = stderr.isTTY ? (message) => stderr.write(`${message}\n`) : undefined;
+    
+    let positions;
+    const runTimestamp = Date.now();
+    try {
+        positions = await analyze(options.usernames, onProgress);
+    } catch (error) {
+        stderr.write(`manifold-analyze: ${error.message}\n`);
+        return EXIT_ERROR;
+    }
+    
+    const hurdleRate = ManifoldAPI.getHurdleRate();
+    const belowCount = ManifoldAPI.getPositionsBelowMarginRate(positions).length;
+    const shown = options.belowOnly
+        ? positions.filter(p => p.returnIfCorrect !== null && p.returnIfCorrect < hurdleRate)
+        : positions;
+    
+    if (options.format === 'json') {
+        stdout.write(JSON.stringify({
+            runTimestamp: new Date(runTimestamp).toISOString(),
+            hurdleRate,
+            hurdleModel: ManifoldAPI.getHurdleModel(),
+            belowCount,
+            positions: toExportRecords(shown, runTimestamp)
+        }, null, 2) + '\n');
+    } else if (options.format === 'csv') {
+        stdout.write(recordsToCsv(toExportRecords(shown, runTimestamp)));
+    } else {
+        stdout.write(formatTable(shown, options.usernames.length > 1));
+        stdout.write(`\n${belowCount} of ${positions.length} positions below ${formatPercent(hurdleRate)} a year.\n`);
+    }
+    
+    return belowCount > 0 ? EXIT_SOME_BELOW : EXIT_NONE_BELOW;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseOptions, formatTable };
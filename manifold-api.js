@@ -1,148 +1,1503 @@
 /**
  * Manifold Markets API wrapper and calculation functions
  * Ported from Python to JavaScript
+ *
+ * Runs in the page, in the pricing Web Worker and in Node (see manifold-analyze.js)
  */
 
 const API_BASE_URL = 'https://api.manifold.markets/v0';
 const MARGIN_RATE_DAILY = 0.0003;  // 0.03% per day
 const MARGIN_RATE_ANNUAL = MARGIN_RATE_DAILY * 365;  // ~10.95% annually
+const TAKER_FEE_RATE = 0.07;  // Manifold's fee schedule: 7% × p × (1 − p) per share
+
+/**
+ * Hurdle rate model that returns are compared against.
+ * source: 'margin' (Manifold margin loans), 'custom' (dailyRate) or 'roi' (roiAnnual)
+ * annualization: 'simple' or 'compound', used for both the hurdle and the returns
+ * (an ROI is already annual, so with that source returns are annualized simply)
+ */
+const DEFAULT_HURDLE_MODEL = {
+    source: 'margin',
+    dailyRate: MARGIN_RATE_DAILY,
+    roiAnnual: MARGIN_RATE_ANNUAL,
+    annualization: 'simple'
+};
+
+let hurdleModel = { ...DEFAULT_HURDLE_MODEL };
+
+/**
+ * Set the hurdle rate model (missing fields fall back to the defaults)
+ */
+function setHurdleModel(model) {
+    hurdleModel = { ...DEFAULT_HURDLE_MODEL, ...model };
+}
+
+function getHurdleModel() {
+    return { ...hurdleModel };
+}
+
+function isCompounding() {
+    return hurdleModel.annualization === 'compound' && hurdleModel.source !== 'roi';
+}
+
+/**
+ * Get the annual hurdle rate for the current model
+ */
+function getHurdleRate() {
+    if (hurdleModel.source === 'roi') {
+        return hurdleModel.roiAnnual;
+    }
+    
+    const dailyRate = hurdleModel.source === 'custom' ? hurdleModel.dailyRate : MARGIN_RATE_DAILY;
+    
+    if (isCompounding()) {
+        return Math.pow(1 + dailyRate, 365) - 1;
+    }
+    return dailyRate * 365;
+}
+
+/**
+ * Annualize a return earned over a number of days. Compounding a period
+ * shorter than a day can overflow, so those (and any other overflow) are
+ * annualized simply.
+ */
+function annualizeReturn(periodReturn, days) {
+    if (isCompounding() && days >= 1) {
+        const compounded = Math.pow(1 + periodReturn, 365 / days) - 1;
+        if (isFinite(compounded)) {
+            return compounded;
+        }
+    }
+    return periodReturn * (365 / days);
+}
+
+/**
+ * Convert an annual rate into the return required over a number of days
+ */
+function getPeriodRate(annualRate, days) {
+    if (isCompounding()) {
+        return Math.pow(1 + annualRate, days / 365) - 1;
+    }
+    return annualRate * (days / 365);
+}
+
+/**
+ * Rough annualized ROI from a user's profile: all-time profit over deposits,
+ * spread over the age of the account
+ */
+function estimateAnnualRoi(user) {
+    const profit = user.profitCached ? user.profitCached.allTime : null;
+    const deposits = user.totalDeposits;
+    
+    if (profit == null || !deposits || !user.createdTime) return null;
+    
+    const days = (Date.now() - user.createdTime) / (1000 * 60 * 60 * 24);
+    if (days < 1) return null;
+    
+    return annualizeReturn(profit / deposits, days);
+}
+
+/**
+ * Expected resolution date model that returns are annualized against.
+ * defaultHorizonDays: time to resolution assumed for markets without a close date
+ * useCreatorLag: add each creator's usual delay between close and resolution
+ * creatorLagDays: creator id -> that delay in days (see getCreatorTrackRecords)
+ * overrides: position key -> expected resolution time set by the user
+ */
+const DEFAULT_RESOLUTION_MODEL = {
+    defaultHorizonDays: 365,
+    useCreatorLag: true,
+    creatorLagDays: {},
+    overrides: {}
+};
+
+// A creator's record is only judged from at least this many resolved markets
+const MIN_RESOLVED_MARKETS = 3;
+const LATE_RESOLUTION_DAYS = 7;  // resolved later than this after close counts as late
+
+let resolutionModel = { ...DEFAULT_RESOLUTION_MODEL };
+
+/**
+ * Set the resolution date model (missing fields fall back to the defaults)
+ */
+function setResolutionModel(model) {
+    resolutionModel = { ...DEFAULT_RESOLUTION_MODEL, ...model };
+}
+
+function getResolutionModel() {
+    return { ...resolutionModel };
+}
+
+/**
+ * When a position is expected to resolve, and where that date comes from:
+ * 'override' (set by the user), 'creator' (close date plus the creator's
+ * usual lag), 'close' (the close date), 'default' (no close date, so the
+ * default horizon from now) or 'overdue' (closed but not yet resolved, so the
+ * creator's lag, or without one the default horizon, from now)
+ */
+function getExpectedResolution(contract, answerId, currentTime) {
+    const override = resolutionModel.overrides[getPositionKey(contract.id, answerId)];
+    if (typeof override === 'number') {
+        return { time: override, source: 'override', lagDays: null };
+    }
+    
+    if (!contract.closeTime) {
+        return {
+            time: currentTime + resolutionModel.defaultHorizonDays * 24 * 60 * 60 * 1000,
+            source: 'default',
+            lagDays: null
+        };
+    }
+    
+    const lagDays = resolutionModel.useCreatorLag ? resolutionModel.creatorLagDays[contract.creatorId] : undefined;
+    const hasLag = typeof lagDays === 'number' && lagDays > 0;
+    const projected = hasLag ? contract.closeTime + lagDays * 24 * 60 * 60 * 1000 : contract.closeTime;
+    
+    // A date already past would leave no time to annualize over
+    if (projected <= currentTime) {
+        return {
+            time: currentTime + (hasLag ? lagDays : resolutionModel.defaultHorizonDays) * 24 * 60 * 60 * 1000,
+            source: 'overdue',
+            lagDays: hasLag ? lagDays : null
+        };
+    }
+    
+    if (hasLag) {
+        return { time: projected, source: 'creator', lagDays };
+    }
+    
+    return { time: contract.closeTime, source: 'close', lagDays: null };
+}
+
+/**
+ * Median delay between close and resolution over resolved markets, in days,
+ * or null with fewer than MIN_RESOLVED_MARKETS of them. Markets resolved
+ * before they closed count as no delay.
+ */
+function estimateResolutionLag(markets) {
+    const lags = markets
+        .filter(market => market.isResolved && market.closeTime && market.resolutionTime)
+        .map(market => Math.max(0, market.resolutionTime - market.closeTime) / (1000 * 60 * 60 * 24))
+        .sort((a, b) => a - b);
+    
+    if (lags.length < MIN_RESOLVED_MARKETS) return null;
+    
+    const middle = Math.floor(lags.length / 2);
+    return lags.length % 2 === 1 ? lags[middle] : (lags[middle - 1] + lags[middle]) / 2;
+}
+
+/**
+ * HTTP transport: a fetch-compatible function. Swappable so the API layer can
+ * run against recorded fixtures or a local stub server.
+ */
+const defaultTransport = (url, options) => fetch(url, options);
+let transport = defaultTransport;
+let apiBaseUrl = API_BASE_URL;
+
+/**
+ * Retry policy for failed requests: network errors, HTTP 429 and 5xx responses
+ * are retried with exponential backoff, or after the delay the server asks for
+ */
+const DEFAULT_RETRY_POLICY = {
+    retries: 4,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000
+};
+
+let retryPolicy = { ...DEFAULT_RETRY_POLICY };
+
+// Set when the server tells us the rate limit is used up; every request waits until then
+let rateLimitedUntil = 0;
+
+/**
+ * Optional response cache: an object with async get(key) and set(key, entry),
+ * where entries look like { storedAt, value }
+ */
+const CACHE_TTL_MS = 5 * 60 * 1000;  // 5 minutes
+let responseCache = null;
+
+// Manifold API key for selling; kept in memory only
+let apiKey = null;
+
+/**
+ * Replace the HTTP transport (pass nothing to restore `fetch`)
+ */
+function setTransport(fn) {
+    transport = fn || defaultTransport;
+}
+
+/**
+ * Point the API layer at another server (pass nothing to restore the Manifold API)
+ */
+function setApiBaseUrl(url) {
+    apiBaseUrl = url || API_BASE_URL;
+}
+
+/**
+ * Set the retry policy (missing fields fall back to the defaults)
+ */
+function setRetryPolicy(policy) {
+    retryPolicy = { ...DEFAULT_RETRY_POLICY, ...policy };
+}
+
+/**
+ * Set the response cache (pass nothing to disable caching)
+ */
+function setResponseCache(cache) {
+    responseCache = cache || null;
+}
+
+/**
+ * Set the API key used for selling (pass nothing to forget it)
+ */
+function setApiKey(key) {
+    apiKey = key || null;
+}
+
+function hasApiKey() {
+    return apiKey !== null;
+}
+
+/**
+ * Wait for a number of milliseconds, rejecting early if the signal aborts
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Time at which the rate limit window resets, from RateLimit-Reset or
+ * X-RateLimit-Reset (seconds from now, or a Unix timestamp in seconds)
+ */
+function getRateLimitReset(headers) {
+    if (!headers) return null;
+    
+    const value = Number(headers.get('RateLimit-Reset') || headers.get('X-RateLimit-Reset'));
+    if (!value || value < 0) return null;
+    
+    return value > 1e9 ? value * 1000 : Date.now() + value * 1000;
+}
+
+/**
+ * How long to wait before retrying. Retry-After and the rate limit reset time
+ * are respected; otherwise the delay doubles with every attempt, with jitter.
+ */
+function getRetryDelay(response, attempt) {
+    const headers = response ? response.headers : null;
+    const retryAfter = headers ? headers.get('Retry-After') : null;
+    
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (delay >= 0) return delay;
+    }
+    
+    const reset = getRateLimitReset(headers);
+    if (reset !== null) {
+        return Math.max(reset - Date.now(), 0);
+    }
+    
+    const backoff = Math.min(retryPolicy.baseDelayMs * Math.pow(2, attempt), retryPolicy.maxDelayMs);
+    return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * Fetch a URL through the transport, retrying transient failures.
+ * options.signal: AbortSignal that cancels the request and any pending retry
+ * options.onRetry: called with a status message before each retry
+ * options.headers: request headers
+ */
+async function fetchWithRetry(url, options = {}) {
+    const { signal, onRetry } = options;
+    
+    for (let attempt = 0; ; attempt++) {
+        if (Date.now() < rateLimitedUntil) {
+            await sleep(rateLimitedUntil - Date.now(), signal);
+        }
+        
+        let response = null;
+        let failure = null;
+        
+        try {
+            response = await transport(url, { signal, headers: options.headers });
+        } catch (error) {
+            if (signal && signal.aborted) throw signal.reason;
+            failure = error;
+        }
+        
+        const retryable = failure || response.status === 429 || response.status >= 500;
+        
+        if (!retryable) {
+            const headers = response.headers;
+            if (headers && headers.get('X-RateLimit-Remaining') === '0') {
+                rateLimitedUntil = getRateLimitReset(headers) || 0;
+            }
+            return response;
+        }
+        
+        if (attempt >= retryPolicy.retries) {
+            if (failure) throw failure;
+            return response;
+        }
+        
+        const delay = getRetryDelay(response, attempt);
+        if (response && response.status === 429) {
+            // Hold back every request, not just this one, until the limit resets
+            rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+        }
+        
+        if (onRetry) {
+            const reason = failure ? 'Network error' : response.status === 429 ? 'Rate limited' : `Server error ${response.status}`;
+            onRetry(`${reason}, retrying in ${Math.ceil(delay / 1000)}s...`);
+        }
+        await sleep(delay, signal);
+    }
+}
+
+/**
+ * Serve a request from the response cache if a fresh entry exists, and store
+ * what was fetched. options.useCache: read from the cache (fresh data is
+ * always written back).
+ */
+async function withResponseCache(key, options, request) {
+    if (responseCache && options.useCache) {
+        try {
+            const entry = await responseCache.get(key);
+            if (entry && Date.now() - entry.storedAt < CACHE_TTL_MS) {
+                return entry.value;
+            }
+        } catch (e) {
+            // Caching is best effort: an unreadable entry is fetched again
+        }
+    }
+    
+    const value = await request();
+    
+    if (responseCache) {
+        try {
+            await responseCache.set(key, { storedAt: Date.now(), value });
+        } catch (e) {
+            // ... and one that can't be stored (e.g. storage is full) is fetched next time
+        }
+    }
+    
+    return value;
+}
+
+/**
+ * Get user profile from username
+ * options: { signal, useCache, onRetry } (see fetchWithRetry and withResponseCache)
+ */
+async function getUser(username, options = {}) {
+    return withResponseCache(`${apiBaseUrl}/user/${username.toLowerCase()}`, options, async () => {
+        const response = await fetchWithRetry(`${apiBaseUrl}/user/${username}`, options);
+        
+        if (response.status === 404) {
+            throw new Error(`User "${username}" not found`);
+        }
+        if (!response.ok) {
+            throw new Error(`Error fetching user "${username}": ${response.status}`);
+        }
+        
+        return response.json();
+    });
+}
 
 /**
  * Get user ID from username
  */
-async function getUserId(username) {
-    const response = await fetch(`${API_BASE_URL}/user/${username}`);
+async function getUserId(username, options = {}) {
+    const userData = await getUser(username, options);
+    return userData.id;
+}
+
+/**
+ * Get all positions for a user with their market data
+ * options: { signal, useCache } (see fetchWithRetry and withResponseCache)
+ * options.onPage: called with each page of { metricsByContract, contracts } as
+ * it arrives (not when the whole result comes from the cache)
+ */
+async function getUserPositions(userId, onProgress, options = {}) {
+    const url = `${apiBaseUrl}/get-user-contract-metrics-with-contracts`;
+    const requestOptions = { ...options, onRetry: onProgress };
+    
+    return withResponseCache(`${url}?userId=${userId}`, options, async () => {
+        const allMetrics = {};
+        const allContracts = [];
+        let offset = 0;
+        const limit = 100;
+        
+        while (true) {
+            const params = new URLSearchParams({
+                userId: userId,
+                limit: limit,
+                offset: offset,
+                perAnswer: 'true'
+            });
+            
+            const response = await fetchWithRetry(`${url}?${params}`, requestOptions);
+            
+            if (!response.ok) {
+                throw new Error(`Error fetching positions: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            const metricsByContract = data.metricsByContract || {};
+            const contracts = data.contracts || [];
+            
+            if (contracts.length === 0) {
+                break;
+            }
+            
+            // Merge results
+            Object.assign(allMetrics, metricsByContract);
+            allContracts.push(...contracts);
+            
+            if (options.onPage) {
+                options.onPage({ metricsByContract, contracts });
+            }
+            
+            if (onProgress) {
+                onProgress(`Fetched ${allContracts.length} markets...`);
+            }
+            
+            if (contracts.length < limit) {
+                break;
+            }
+            
+            offset += limit;
+        }
+        
+        return {
+            metricsByContract: allMetrics,
+            contracts: allContracts
+        };
+    });
+}
+
+/**
+ * Get a market by its slug (the last part of its URL)
+ */
+async function getMarketBySlug(slug, options = {}) {
+    const response = await fetchWithRetry(`${apiBaseUrl}/slug/${encodeURIComponent(slug)}`, options);
+    
+    if (response.status === 404) {
+        throw new Error(`Market "${slug}" not found`);
+    }
+    if (!response.ok) {
+        throw new Error(`Error fetching market "${slug}": ${response.status}`);
+    }
+    
+    return response.json();
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Get positions for several users, fetching a few accounts at a time.
+ * Resolves to { username, rawData } per user; with several users, one that
+ * can't be fetched (e.g. an unknown username) gives { username, error }
+ * instead of failing the others.
+ * options: { signal, useCache, concurrency }
+ * options.onPage: called with (username, page) as each page arrives
+ * options.limitOrders: also fetch each market's open limit orders into
+ * rawData.limitOrdersByContract (one more request per market)
+ * options.recentBets: also fetch each market's bets of the last week into
+ * rawData.recentBetsByContract (one more request per market)
+ */
+async function getUsersPositions(usernames, onProgress, options = {}) {
+    const { concurrency = 3, onPage, limitOrders = false, recentBets = false, ...requestOptions } = options;
+    
+    return mapWithConcurrency(usernames, concurrency, async (username) => {
+        const report = (message) => {
+            if (onProgress) {
+                onProgress(usernames.length > 1 ? `${username}: ${message}` : message);
+            }
+        };
+        
+        try {
+            const userId = await getUserId(username, { ...requestOptions, onRetry: report });
+            const rawData = await getUserPositions(userId, report, {
+                ...requestOptions,
+                onPage: onPage ? (page) => onPage(username, page) : undefined
+            });
+            if (limitOrders) {
+                rawData.limitOrdersByContract = await getLimitOrdersForContracts(rawData, report, requestOptions);
+            }
+            if (recentBets) {
+                rawData.recentBetsByContract = await getRecentBetsForContracts(rawData, report, requestOptions);
+            }
+            return { username, rawData };
+        } catch (error) {
+            if (usernames.length === 1 || error.name === 'AbortError') throw error;
+            return { username, error };
+        }
+    });
+}
+
+/**
+ * Get a market's open (unfilled, uncancelled) limit orders
+ * options: { signal, useCache, onRetry } (see fetchWithRetry and withResponseCache)
+ */
+async function getOpenLimitOrders(contractId, options = {}) {
+    const params = new URLSearchParams({ contractId, kinds: 'open-limit', limit: 1000 });
+    const url = `${apiBaseUrl}/bets?${params}`;
+    
+    return withResponseCache(url, options, async () => {
+        const response = await fetchWithRetry(url, options);
+        
+        if (!response.ok) {
+            throw new Error(`Error fetching limit orders: ${response.status}`);
+        }
+        
+        const bets = await response.json();
+        return bets.filter(bet => isOpenLimitOrder(bet, Date.now()));
+    });
+}
+
+/**
+ * Get a market's bets of the last PROBABILITY_CHANGE_DAYS days, newest first,
+ * trimmed to what measuring probability moves needs. Resolves to
+ * { since, bets }: the history is complete from `since` on (0 if the market
+ * has no older bets than those fetched). The latest older bet of each answer
+ * is kept too, for the probability when the period began.
+ * options: { signal, useCache, onRetry } (see fetchWithRetry and withResponseCache)
+ */
+async function getRecentBets(contractId, options = {}) {
+    const limit = 1000;
+    const params = new URLSearchParams({ contractId, limit });
+    const url = `${apiBaseUrl}/bets?${params}`;
+    
+    return withResponseCache(url, options, async () => {
+        const response = await fetchWithRetry(url, options);
+        
+        if (!response.ok) {
+            throw new Error(`Error fetching bets: ${response.status}`);
+        }
+        
+        const bets = (await response.json()).sort((a, b) => b.createdTime - a.createdTime);
+        const periodStart = Date.now() - PROBABILITY_CHANGE_DAYS * 24 * 60 * 60 * 1000;
+        const olderSeen = new Set();
+        const kept = bets.filter(bet => {
+            if (bet.createdTime >= periodStart) return true;
+            
+            const answerKey = bet.answerId || '';
+            if (olderSeen.has(answerKey)) return false;
+            olderSeen.add(answerKey);
+            return true;
+        });
+        
+        return {
+            since: bets.length < limit ? 0 : bets[bets.length - 1].createdTime,
+            bets: kept.map(({ createdTime, probBefore, probAfter, answerId, betGroupId }) =>
+                ({ createdTime, probBefore, probAfter, answerId, betGroupId }))
+        };
+    });
+}
+
+/**
+ * Run a request for each of the markets, a few at a time. Resolves to a map
+ * of contract id -> result, with null for a market whose request failed so
+ * one bad market doesn't cost the rest.
+ */
+async function fetchPerContract(contractIds, what, request, onProgress, options = {}) {
+    const { concurrency = 3, ...requestOptions } = options;
+    
+    let fetched = 0;
+    const results = await mapWithConcurrency(contractIds, concurrency, async (contractId) => {
+        let result = null;
+        try {
+            result = await request(contractId, { ...requestOptions, onRetry: onProgress });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+        }
+        if (onProgress) {
+            onProgress(`Fetched ${what} for ${++fetched} of ${contractIds.length} markets...`);
+        }
+        return result;
+    });
+    
+    const byContract = {};
+    contractIds.forEach((contractId, i) => byContract[contractId] = results[i]);
+    return byContract;
+}
+
+/**
+ * Fetch the open limit orders of every AMM-priced market in rawData.
+ * Resolves to a map of contract id -> limit orders (null if they couldn't be fetched).
+ */
+async function getLimitOrdersForContracts(rawData, onProgress, options = {}) {
+    const contractIds = (rawData.contracts || [])
+        .filter(contract => !contract.isResolved && getPricingMethod(contract) === 'amm')
+        .map(contract => contract.id);
+    
+    return fetchPerContract(contractIds, 'limit orders', getOpenLimitOrders, onProgress, options);
+}
+
+/**
+ * Fetch the recent bets of every open market in rawData (see getRecentBets).
+ * Resolves to a map of contract id -> { since, bets } (null if they couldn't be fetched).
+ */
+async function getRecentBetsForContracts(rawData, onProgress, options = {}) {
+    const contractIds = (rawData.contracts || [])
+        .filter(contract => !contract.isResolved)
+        .map(contract => contract.id);
+    
+    return fetchPerContract(contractIds, 'recent bets', getRecentBets, onProgress, options);
+}
+
+/**
+ * Get the most recent markets a user created
+ * options: { signal, useCache, onRetry } (see fetchWithRetry and withResponseCache)
+ */
+async function getCreatorMarkets(creatorId, options = {}) {
+    const params = new URLSearchParams({ userId: creatorId, limit: 200 });
+    const url = `${apiBaseUrl}/markets?${params}`;
+    
+    return withResponseCache(url, options, async () => {
+        const response = await fetchWithRetry(url, options);
+        
+        if (!response.ok) {
+            throw new Error(`Error fetching markets by creator: ${response.status}`);
+        }
+        
+        return response.json();
+    });
+}
+
+/**
+ * A creator's track record over their resolved markets: how many there are,
+ * the share resolved N/A, the share resolved more than LATE_RESOLUTION_DAYS
+ * after close and their usual close-to-resolution lag. Null with fewer than
+ * MIN_RESOLVED_MARKETS resolved markets.
+ */
+function estimateCreatorRecord(markets) {
+    const resolved = markets.filter(market => market.isResolved);
+    if (resolved.length < MIN_RESOLVED_MARKETS) return null;
+    
+    const lateAfter = LATE_RESOLUTION_DAYS * 24 * 60 * 60 * 1000;
+    const late = resolved.filter(market =>
+        market.closeTime && market.resolutionTime && market.resolutionTime - market.closeTime > lateAfter);
+    
+    return {
+        resolvedMarkets: resolved.length,
+        naShare: resolved.filter(market => market.resolution === 'CANCEL').length / resolved.length,
+        lateShare: late.length / resolved.length,
+        lagDays: estimateResolutionLag(resolved)
+    };
+}
+
+/**
+ * Look up the track record of each creator from their recent markets, a few
+ * creators at a time. Resolves to a map of creator id -> record (see
+ * estimateCreatorRecord), leaving out creators without enough resolved markets
+ * and those whose markets couldn't be fetched (their markets fall back to the
+ * close date).
+ * options: { signal, useCache, concurrency }
+ */
+async function getCreatorTrackRecords(creatorIds, onProgress, options = {}) {
+    const { concurrency = 3, ...requestOptions } = options;
+    const ids = [...new Set(creatorIds.filter(id => id))];
+    
+    let fetched = 0;
+    const records = await mapWithConcurrency(ids, concurrency, async (creatorId) => {
+        let record = null;
+        try {
+            record = estimateCreatorRecord(await getCreatorMarkets(creatorId, { ...requestOptions, onRetry: onProgress }));
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+        }
+        if (onProgress) {
+            onProgress(`Checked the track records of ${++fetched} of ${ids.length} creators...`);
+        }
+        return record;
+    });
+    
+    const recordsByCreator = {};
+    ids.forEach((creatorId, i) => {
+        if (records[i] !== null) {
+            recordsByCreator[creatorId] = records[i];
+        }
+    });
+    return recordsByCreator;
+}
+
+/**
+ * Get a market by id, fresh from the API
+ */
+async function getMarket(contractId, options = {}) {
+    const response = await fetchWithRetry(`${apiBaseUrl}/market/${contractId}`, options);
+    
+    if (response.status === 404) {
+        throw new Error(`Market "${contractId}" not found`);
+    }
+    if (!response.ok) {
+        throw new Error(`Error fetching market "${contractId}": ${response.status}`);
+    }
+    
+    return response.json();
+}
+
+/**
+ * Get the user the API key belongs to
+ */
+async function getAuthenticatedUser(options = {}) {
+    if (!apiKey) throw new Error('No API key set');
+    
+    const response = await fetchWithRetry(`${apiBaseUrl}/me`, {
+        ...options,
+        headers: { Authorization: `Key ${apiKey}` }
+    });
+    
+    if (response.status === 401 || response.status === 403) {
+        throw new Error('The API key was rejected');
+    }
+    if (!response.ok) {
+        throw new Error(`Error checking the API key: ${response.status}`);
+    }
+    
+    return response.json();
+}
+
+/**
+ * Sell shares through the API key's account
+ * order: { outcome, answerId, shares } (shares null or missing sells them all)
+ * Resolves to the bet Manifold placed. Never retried, so a sale that went
+ * through but timed out isn't placed twice.
+ */
+async function sellShares(contractId, order, options = {}) {
+    if (!apiKey) throw new Error('Selling needs an API key');
+    
+    const body = { outcome: order.outcome };
+    if (order.shares !== null && order.shares !== undefined) {
+        body.shares = order.shares;
+    }
+    if (order.answerId) {
+        body.answerId = order.answerId;
+    }
+    
+    const response = await transport(`${apiBaseUrl}/market/${contractId}/sell`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Key ${apiKey}`
+        },
+        body: JSON.stringify(body),
+        signal: options.signal
+    });
+    
+    if (response.status === 401 || response.status === 403) {
+        throw new Error('The API key was rejected');
+    }
+    if (!response.ok) {
+        // Manifold explains failed trades in `message`
+        let message = String(response.status);
+        try {
+            message = (await response.json()).message || message;
+        } catch (e) {
+            // Not JSON; keep the status
+        }
+        throw new Error(`Error selling: ${message}`);
+    }
+    
+    return response.json();
+}
+
+/**
+ * Sell positions one after another. Each is re-priced against a fresh copy of
+ * its market just before it is sold, since earlier fills may have moved the
+ * price, and selling stops at the first sale whose slippage is over the limit.
+ * orders: [{ contractId, answerId, outcome, shares }]
+ * options: { maxSlippage, signal, onFill({ order, quote, bet }) }
+ * Resolves to { fills: [{ order, quote, bet }], stopped: { order, reason } or null }
+ */
+async function executeSells(orders, options = {}) {
+    const { maxSlippage = Infinity, signal, onFill } = options;
+    const fills = [];
+    
+    for (const order of orders) {
+        let quote;
+        try {
+            const contract = await getMarket(order.contractId, { signal });
+            quote = quoteSale(contract, order.answerId, order.outcome, order.shares);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            return { fills, stopped: { order, reason: error.message } };
+        }
+        
+        if (!quote) {
+            return { fills, stopped: { order, reason: 'The market has no AMM price to sell into' } };
+        }
+        if (quote.slippage > maxSlippage) {
+            return {
+                fills,
+                stopped: { order, quote, reason: `Slippage would be ${(quote.slippage * 100).toFixed(1)}%` }
+            };
+        }
+        
+        let bet;
+        try {
+            bet = await sellShares(order.contractId, {
+                outcome: order.outcome,
+                answerId: order.answerId,
+                shares: order.shares
+            }, { signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            return { fills, stopped: { order, quote, reason: error.message } };
+        }
+        
+        const fill = { order, quote, bet };
+        fills.push(fill);
+        if (onFill) {
+            onFill(fill);
+        }
+    }
+    
+    return { fills, stopped: null };
+}
+
+/**
+ * Calculate CPMM shares when buying
+ */
+function calculateCpmmShares(pool, p, betAmount, outcome) {
+    if (betAmount === 0) return 0;
+    
+    const y = pool.YES || 0;
+    const n = pool.NO || 0;
+    const k = Math.pow(y, p) * Math.pow(n, 1 - p);
+    
+    if (outcome === 'YES') {
+        return y + betAmount - Math.pow(k * Math.pow(betAmount + n, p - 1), 1 / p);
+    } else {
+        return n + betAmount - Math.pow(k * Math.pow(betAmount + y, -p), 1 / (1 - p));
+    }
+}
+
+/**
+ * Calculate amount needed to buy a specific number of shares
+ * Uses binary search
+ */
+function calculateAmountToBuyShares(pool, p, shares, outcome) {
+    if (shares <= 0) return 0;
+    
+    // Buying can't cost less than the current price per share; the price
+    // depends on p, so use the full CPMM probability for the lower bound
+    const prob = getCpmmProbability(pool, p);
+    
+    let minAmount = 0;
+    if (prob !== null) {
+        minAmount = outcome === 'YES' ? shares * prob : shares * (1 - prob);
+    }
+    let maxAmount = shares;
+    let mid = 0;
+    
+    // Binary search
+    for (let i = 0; i < 50; i++) {
+        mid = (minAmount + maxAmount) / 2;
+        const sharesReceived = calculateCpmmShares(pool, p, mid, outcome);
+        
+        if (Math.abs(sharesReceived - shares) < 0.0001) {
+            return mid;
+        } else if (sharesReceived < shares) {
+            minAmount = mid;
+        } else {
+            maxAmount = mid;
+        }
+    }
+    
+    return mid;
+}
+
+/**
+ * Calculate sale value using the correct AMM mechanism:
+ * To sell YES shares: buy NO shares, then redeem YES+NO pairs
+ */
+function calculateSaleValue(shares, outcome, pool, p, mechanism) {
+    if (!['cpmm-1', 'cpmm-multi-1'].includes(mechanism)) {
+        return 0;
+    }
+    
+    const y = pool.YES || 0;
+    const n = pool.NO || 0;
+    
+    if (y <= 0 || n <= 0) return 0;
+    
+    // To sell: buy opposite shares, then redeem pairs
+    const oppositeOutcome = outcome === 'YES' ? 'NO' : 'YES';
+    const buyAmount = calculateAmountToBuyShares(pool, p, shares, oppositeOutcome);
+    
+    // Sale value = shares redeemed - cost to buy opposite
+    return Math.max(0, shares - buyAmount);
+}
+
+/**
+ * Calculate the probability implied by a CPMM pool
+ */
+function getCpmmProbability(pool, p) {
+    const y = pool.YES || 0;
+    const n = pool.NO || 0;
+    
+    if (y <= 0 || n <= 0) return null;
+    
+    return (p * n) / ((1 - p) * y + p * n);
+}
+
+/**
+ * Calculate the pool after spending `amount` on `shares` shares of an outcome
+ */
+function getPoolAfterBuy(pool, amount, shares, outcome) {
+    const y = pool.YES || 0;
+    const n = pool.NO || 0;
+    
+    if (outcome === 'YES') {
+        return { YES: y + amount - shares, NO: n + amount };
+    }
+    return { YES: y + amount, NO: n + amount - shares };
+}
+
+/**
+ * Calculate the pool after selling shares (buying the opposite outcome)
+ */
+function getPoolAfterSale(shares, outcome, pool, p) {
+    const oppositeOutcome = outcome === 'YES' ? 'NO' : 'YES';
+    const buyAmount = calculateAmountToBuyShares(pool, p, shares, oppositeOutcome);
+    
+    return getPoolAfterBuy(pool, buyAmount, shares, oppositeOutcome);
+}
+
+/**
+ * Manifold's taker fee: rate × p × (1 − p) per share filled at price p
+ */
+function getTakerFee(shares, price, feeRate = TAKER_FEE_RATE) {
+    return feeRate * price * (1 - price) * shares;
+}
+
+/**
+ * Buy an outcome through a CPMM pool until its probability reaches
+ * `targetProb`. Returns the amount spent and shares bought, both zero if the
+ * pool is already at or past the target.
+ */
+function getCpmmBuyToProbability(pool, p, outcome, targetProb) {
+    const y = pool.YES || 0;
+    const n = pool.NO || 0;
+    const prob = getCpmmProbability(pool, p);
+    
+    if (prob === null || targetProb <= 0 || targetProb >= 1) return { amount: 0, shares: 0 };
+    if (outcome === 'YES' ? targetProb <= prob : targetProb >= prob) return { amount: 0, shares: 0 };
+    
+    // The pool at the target keeps y^p n^(1-p) = k with n/y fixed by the probability
+    const k = Math.pow(y, p) * Math.pow(n, 1 - p);
+    const ratio = (targetProb * (1 - p)) / (p * (1 - targetProb));
+    const yAfter = k / Math.pow(ratio, 1 - p);
+    const nAfter = ratio * yAfter;
+    
+    if (outcome === 'YES') {
+        const amount = nAfter - n;
+        return { amount, shares: y + amount - yAfter };
+    }
+    const amount = yAfter - y;
+    return { amount, shares: n + amount - nAfter };
+}
+
+/**
+ * Whether a bet is a limit order that can still be filled
+ */
+function isOpenLimitOrder(bet, now) {
+    return typeof bet.limitProb === 'number' &&
+        !bet.isFilled && !bet.isCancelled &&
+        !(bet.expiresAt && bet.expiresAt <= now);
+}
+
+/**
+ * Simulate a sale the way Manifold fills it: selling buys the opposite
+ * outcome, which moves the AMM price until it reaches the best open limit
+ * order on the sold outcome; that order fills at its limit before the AMM
+ * takes over again. Every fill pays the taker fee.
+ * limitOrders: open limit bets of the same market (and answer)
+ * Returns { saleValue, fees, orderShares } with orderShares the shares
+ * matched against limit orders.
+ */
+function simulateOrderBookSale(shares, outcome, pool, p, limitOrders = [], feeRate = TAKER_FEE_RATE) {
+    const y = pool.YES || 0;
+    const n = pool.NO || 0;
+    if (y <= 0 || n <= 0) return { saleValue: 0, fees: 0, orderShares: 0 };
+    
+    const buying = outcome === 'YES' ? 'NO' : 'YES';
+    const now = Date.now();
+    
+    // Selling YES pushes the probability down through the YES bids, highest
+    // first; selling NO pushes it up through the NO bids, lowest first
+    const orders = limitOrders
+        .filter(bet => bet.outcome === outcome && isOpenLimitOrder(bet, now))
+        .sort((a, b) => outcome === 'YES' ? b.limitProb - a.limitProb : a.limitProb - b.limitProb);
+    
+    let currentPool = pool;
+    let remaining = shares;
+    let cost = 0;
+    let fees = 0;
+    let orderShares = 0;
+    
+    const buyFromPool = (amount, bought) => {
+        cost += amount;
+        fees += getTakerFee(bought, amount / bought, feeRate);
+        currentPool = getPoolAfterBuy(currentPool, amount, bought, buying);
+        remaining -= bought;
+    };
+    
+    for (const order of orders) {
+        if (remaining <= 1e-9) break;
+        
+        const toLimit = getCpmmBuyToProbability(currentPool, p, buying, order.limitProb);
+        if (toLimit.shares >= remaining) break;
+        if (toLimit.shares > 0) {
+            buyFromPool(toLimit.amount, toLimit.shares);
+        }
+        
+        // The order buys its outcome at its limit; we get the other side of each pair
+        const orderPrice = outcome === 'YES' ? order.limitProb : 1 - order.limitProb;
+        const unfilledAmount = Math.max(0, (order.orderAmount || 0) - (order.amount || 0));
+        const filled = Math.min(remaining, unfilledAmount / orderPrice);
+        
+        cost += filled * (1 - orderPrice);
+        fees += getTakerFee(filled, orderPrice, feeRate);
+        orderShares += filled;
+        remaining -= filled;
+    }
+    
+    if (remaining > 1e-9) {
+        buyFromPool(calculateAmountToBuyShares(currentPool, p, remaining, buying), remaining);
+    }
+    
+    return { saleValue: Math.max(0, shares - cost - fees), fees, orderShares };
+}
+
+/**
+ * Sale value after fees and open limit orders, or null for positions that
+ * aren't priced through a single CPMM pool (fair value, linked answers)
+ */
+function calculateOrderBookSaleValue(shares, outcome, pool, p, mechanism, limitOrders, feeRate) {
+    if (!['cpmm-1', 'cpmm-multi-1'].includes(mechanism)) return null;
+    if (!(pool.YES > 0 && pool.NO > 0)) return null;
+    
+    return simulateOrderBookSale(shares, outcome, pool, p, limitOrders, feeRate).saleValue;
+}
+
+/**
+ * Pools of the open answers of a linked multi-choice market, by answer id
+ */
+function getLinkedPools(answers) {
+    const pools = {};
+    answers
+        .filter(ans => ans.resolution === undefined || ans.resolution === null)
+        .forEach(ans => pools[ans.id] = { YES: ans.poolYes || 0, NO: ans.poolNo || 0 });
+    return pools;
+}
+
+/**
+ * Manifold's arbitrage after a trade in one linked answer: buy the same
+ * number of `outcome` shares in every answer until the probabilities sum to
+ * one again. Moves `pools` and returns the profit, the sets' payout (a full
+ * YES set redeems for M$1, a full NO set for M$(answers - 1)) less their cost.
+ * `scale` is a first guess at the number of shares needed.
+ */
+function arbitrageLinkedPools(pools, outcome, scale) {
+    const p = 0.5;
+    const ids = Object.keys(pools);
+    const setPayout = outcome === 'YES' ? 1 : ids.length - 1;
+    const probSumAfter = (setShares) => ids.reduce((sum, id) => {
+        const amount = calculateAmountToBuyShares(pools[id], p, setShares, outcome);
+        return sum + getCpmmProbability(getPoolAfterBuy(pools[id], amount, setShares, outcome), p);
+    }, 0);
+    const needsMore = (setShares) => outcome === 'YES'
+        ? probSumAfter(setShares) < 1
+        : probSumAfter(setShares) > 1;
+    
+    if (ids.length < 2 || !needsMore(0)) return 0;
+    
+    let high = scale;
+    while (needsMore(high) && high < scale * 1e6) {
+        high *= 2;
+    }
+    
+    let low = 0;
+    for (let i = 0; i < 50 && high - low > 0.0001; i++) {
+        const mid = (low + high) / 2;
+        if (needsMore(mid)) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    
+    const setShares = (low + high) / 2;
+    let cost = 0;
+    ids.forEach(id => {
+        const amount = calculateAmountToBuyShares(pools[id], p, setShares, outcome);
+        pools[id] = getPoolAfterBuy(pools[id], amount, setShares, outcome);
+        cost += amount;
+    });
+    return setShares * setPayout - cost;
+}
+
+/**
+ * Simulate selling shares of one answer in a multi-choice market whose answers
+ * sum to one. Like Manifold, the sale is followed by an arbitrage across all
+ * answers that restores the sum of probabilities to one; the seller keeps the
+ * arbitrage profit.
+ *   Selling YES: buy NO in the answer, then buy equal YES in every answer
+ *   Selling NO:  buy YES in the answer, then buy equal NO in every answer
+ * Returns the sale value and the answer pools afterwards.
+ */
+function simulateLinkedSale(shares, outcome, answerId, answers) {
+    const p = 0.5;
+    const pools = getLinkedPools(answers);
     
-    if (!response.ok) {
-        throw new Error(`User "${username}" not found`);
+    const ids = Object.keys(pools);
+    if (!pools[answerId] || ids.some(id => pools[id].YES <= 0 || pools[id].NO <= 0)) {
+        return { saleValue: 0, pools };
     }
     
-    const userData = await response.json();
-    return userData.id;
+    // Sell in the answer's own pool
+    const oppositeOutcome = outcome === 'YES' ? 'NO' : 'YES';
+    const cost = calculateAmountToBuyShares(pools[answerId], p, shares, oppositeOutcome);
+    pools[answerId] = getPoolAfterBuy(pools[answerId], cost, shares, oppositeOutcome);
+    
+    const saleValue = shares - cost + arbitrageLinkedPools(pools, outcome, shares);
+    return { saleValue: Math.max(0, saleValue), pools };
 }
 
 /**
- * Get all positions for a user with their market data
+ * Simulate spending `amount` on one answer of a multi-choice market whose
+ * answers sum to one: the buy in the answer's own pool is followed by the
+ * arbitrage across all answers, and its profit buys more of the answer (so
+ * the whole amount is spent on it).
+ *   Buying YES: buy YES in the answer, then buy equal NO in every answer
+ *   Buying NO:  buy NO in the answer, then buy equal YES in every answer
+ * Returns the shares bought and the answer pools afterwards.
+ */
+function simulateLinkedBuy(amount, outcome, answerId, answers) {
+    const p = 0.5;
+    const start = getLinkedPools(answers);
+    
+    const ids = Object.keys(start);
+    if (!start[answerId] || ids.some(id => start[id].YES <= 0 || start[id].NO <= 0) || !(amount > 0)) {
+        return { shares: 0, pools: start };
+    }
+    
+    // Spend `direct` in the answer's pool and arbitrage; what it costs net of
+    // the arbitrage profit
+    const arbOutcome = outcome === 'YES' ? 'NO' : 'YES';
+    const buy = (direct) => {
+        const pools = {};
+        ids.forEach(id => pools[id] = { ...start[id] });
+        const shares = calculateCpmmShares(pools[answerId], p, direct, outcome);
+        pools[answerId] = getPoolAfterBuy(pools[answerId], direct, shares, outcome);
+        const profit = arbitrageLinkedPools(pools, arbOutcome, shares);
+        return { shares, pools, netCost: direct - profit };
+    };
+    
+    // The profit never covers the whole buy, so the net cost grows with `direct`
+    let high = amount;
+    while (buy(high).netCost < amount && high < amount * 1e6) {
+        high *= 2;
+    }
+    
+    let low = amount;
+    for (let i = 0; i < 50 && high - low > 0.0001; i++) {
+        const mid = (low + high) / 2;
+        if (buy(mid).netCost < amount) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    
+    const result = buy((low + high) / 2);
+    return { shares: result.shares, pools: result.pools };
+}
+
+/**
+ * Calculate sale value of an answer in a multi-choice market whose answers sum to one
+ */
+function calculateLinkedSaleValue(shares, outcome, answerId, answers) {
+    return simulateLinkedSale(shares, outcome, answerId, answers).saleValue;
+}
+
+/**
+ * Sell curve of a position: for each number of shares in `sizes`, the
+ * proceeds of selling that many, their average price, the slippage against
+ * the current price and the probability left behind.
+ * Returns null for positions that aren't priced through an AMM.
  */
-async function getUserPositions(userId, onProgress) {
-    const url = `${API_BASE_URL}/get-user-contract-metrics-with-contracts`;
-    const allMetrics = {};
-    const allContracts = [];
-    let offset = 0;
-    const limit = 100;
-    
-    while (true) {
-        const params = new URLSearchParams({
-            userId: userId,
-            limit: limit,
-            offset: offset,
-            perAnswer: 'true'
+function calculateSellCurve(contract, answerId, outcome, sizes) {
+    const pricing = getPricingMethod(contract);
+    const answers = contract.answers || [];
+    const answer = answerId ? answers.find(a => String(a.id) === String(answerId)) : null;
+    const p = pricing === 'linked-amm' ? 0.5 : contract.p || 0.5;
+    const pool = answer ? { YES: answer.poolYes || 0, NO: answer.poolNo || 0 } : contract.pool || {};
+    
+    if (pricing === 'fair' || (answerId && !answer)) return null;
+    if (!(pool.YES > 0 && pool.NO > 0)) return null;
+    
+    const simulate = pricing === 'linked-amm'
+        ? (sold) => {
+            const sale = simulateLinkedSale(sold, outcome, answerId, answers);
+            return { saleValue: sale.saleValue, pool: sale.pools[answerId] };
+        }
+        : (sold) => ({
+            saleValue: calculateSaleValue(sold, outcome, pool, p, contract.mechanism),
+            pool: getPoolAfterSale(sold, outcome, pool, p)
         });
-        
-        const response = await fetch(`${url}?${params}`);
-        
-        if (!response.ok) {
-            throw new Error(`Error fetching positions: ${response.status}`);
+    
+    const probability = getCpmmProbability(pool, p);
+    const price = outcome === 'YES' ? probability : 1 - probability;
+    
+    const points = sizes.map(sharesSold => {
+        if (sharesSold <= 0) {
+            return { sharesSold: 0, proceeds: 0, averagePrice: price, slippage: 0, probability };
         }
         
-        const data = await response.json();
-        const metricsByContract = data.metricsByContract || {};
-        const contracts = data.contracts || [];
+        const sale = simulate(sharesSold);
+        return {
+            sharesSold,
+            proceeds: sale.saleValue,
+            averagePrice: sale.saleValue / sharesSold,
+            slippage: (sharesSold * price - sale.saleValue) / (sharesSold * price),
+            probability: getCpmmProbability(sale.pool, p)
+        };
+    });
+    
+    return { pricing, pool, p, probability, points };
+}
+
+/**
+ * Expected result of selling shares into the market's current pool:
+ * { proceeds, slippage, probabilityAfter }, or null without an AMM price
+ */
+function quoteSale(contract, answerId, outcome, shares) {
+    const curve = calculateSellCurve(contract, answerId, outcome, [shares]);
+    if (!curve) return null;
+    
+    const [point] = curve.points;
+    return { proceeds: point.proceeds, slippage: point.slippage, probabilityAfter: point.probability };
+}
+
+/**
+ * Simulate a list of trades in order. Each trade moves its market's pool, and
+ * later trades in the same market are priced against the moved pool.
+ * trades: [{ type: 'sell', contract, answerId, outcome, shares }
+ *          or { type: 'buy', contract, answerId, outcome, amount }]
+ * Sells get `proceeds`, buys get `shares` and `averagePrice`; both get
+ * `probabilityAfter`. Trades in markets without an AMM have `priced: false`.
+ * Trades in linked answers include the arbitrage across all answers.
+ */
+function simulateTrades(trades) {
+    const markets = new Map();
+    
+    return trades.map(trade => {
+        const { contract, answerId, outcome } = trade;
+        const pricing = getPricingMethod(contract);
+        const p = pricing === 'linked-amm' ? 0.5 : contract.p || 0.5;
         
-        if (contracts.length === 0) {
-            break;
+        if (!markets.has(contract.id)) {
+            markets.set(contract.id, {
+                pool: { ...(contract.pool || {}) },
+                answers: (contract.answers || []).map(answer => ({ ...answer }))
+            });
         }
+        const market = markets.get(contract.id);
+        const answer = answerId ? market.answers.find(a => String(a.id) === String(answerId)) : null;
         
-        // Merge results
-        Object.assign(allMetrics, metricsByContract);
-        allContracts.push(...contracts);
+        const getPool = () => answer ? { YES: answer.poolYes || 0, NO: answer.poolNo || 0 } : market.pool;
+        const setPool = (pool) => {
+            if (answer) {
+                answer.poolYes = pool.YES;
+                answer.poolNo = pool.NO;
+            } else {
+                market.pool = pool;
+            }
+        };
+        const setLinkedPools = (pools) => {
+            market.answers.forEach(a => {
+                if (pools[a.id]) {
+                    a.poolYes = pools[a.id].YES;
+                    a.poolNo = pools[a.id].NO;
+                }
+            });
+        };
         
-        if (onProgress) {
-            onProgress(`Fetched ${allContracts.length} markets...`);
+        const pool = getPool();
+        if (pricing === 'fair' || (answerId && !answer) || !(pool.YES > 0 && pool.NO > 0)) {
+            return { ...trade, priced: false };
         }
         
-        if (contracts.length < limit) {
-            break;
+        if (trade.type === 'sell') {
+            let proceeds;
+            if (pricing === 'linked-amm') {
+                const sale = simulateLinkedSale(trade.shares, outcome, answerId, market.answers);
+                proceeds = sale.saleValue;
+                setLinkedPools(sale.pools);
+            } else {
+                proceeds = calculateSaleValue(trade.shares, outcome, pool, p, contract.mechanism);
+                setPool(getPoolAfterSale(trade.shares, outcome, pool, p));
+            }
+            return { ...trade, priced: true, proceeds, probabilityAfter: getCpmmProbability(getPool(), p) };
         }
         
-        offset += limit;
+        let shares;
+        if (pricing === 'linked-amm') {
+            const purchase = simulateLinkedBuy(trade.amount, outcome, answerId, market.answers);
+            shares = purchase.shares;
+            setLinkedPools(purchase.pools);
+        } else {
+            shares = calculateCpmmShares(pool, p, trade.amount, outcome);
+            setPool(getPoolAfterBuy(pool, trade.amount, shares, outcome));
+        }
+        return {
+            ...trade,
+            priced: true,
+            shares,
+            averagePrice: shares > 0 ? trade.amount / shares : null,
+            probabilityAfter: getCpmmProbability(getPool(), p)
+        };
+    });
+}
+
+/**
+ * Calculate the optimal partial sale of a position.
+ * Because of slippage, each share sold lowers the price of the next one, so
+ * we sell until the marginal return-if-correct of the shares we keep reaches
+ * the target rate (or sell everything if it never does).
+ */
+function calculateOptimalSale(shares, outcome, pool, p, mechanism, closeTime, currentTime, targetRate, loan = 0) {
+    if (!['cpmm-1', 'cpmm-multi-1'].includes(mechanism)) {
+        return solveOptimalSale(shares, () => 0, null, closeTime, currentTime, targetRate, loan);
     }
     
-    return {
-        metricsByContract: allMetrics,
-        contracts: allContracts
+    const saleValueOf = (sold) => calculateSaleValue(sold, outcome, pool, p, mechanism);
+    const marginalPrice = (sold) => {
+        const prob = getCpmmProbability(sold > 0 ? getPoolAfterSale(sold, outcome, pool, p) : pool, p);
+        return outcome === 'YES' ? prob : 1 - prob;
     };
+    
+    return solveOptimalSale(shares, saleValueOf, marginalPrice, closeTime, currentTime, targetRate, loan);
 }
 
 /**
- * Calculate CPMM shares when buying
+ * Calculate the optimal partial sale of an answer in a multi-choice market
+ * whose answers sum to one
  */
-function calculateCpmmShares(pool, p, betAmount, outcome) {
-    if (betAmount === 0) return 0;
-    
-    const y = pool.YES || 0;
-    const n = pool.NO || 0;
-    const k = Math.pow(y, p) * Math.pow(n, 1 - p);
+function calculateLinkedOptimalSale(shares, outcome, answerId, answers, closeTime, currentTime, targetRate, loan = 0) {
+    const saleValueOf = (sold) => calculateLinkedSaleValue(sold, outcome, answerId, answers);
+    const marginalPrice = (sold) => {
+        const pool = simulateLinkedSale(sold, outcome, answerId, answers).pools[answerId];
+        const prob = getCpmmProbability(pool, 0.5);
+        return outcome === 'YES' ? prob : 1 - prob;
+    };
     
-    if (outcome === 'YES') {
-        return y + betAmount - Math.pow(k * Math.pow(betAmount + n, p - 1), 1 / p);
-    } else {
-        return n + betAmount - Math.pow(k * Math.pow(betAmount + y, -p), 1 / (1 - p));
-    }
+    return solveOptimalSale(shares, saleValueOf, marginalPrice, closeTime, currentTime, targetRate, loan);
 }
 
 /**
- * Calculate amount needed to buy a specific number of shares
- * Uses binary search
+ * Find how many shares to sell, given the sale value of selling `sold` shares
+ * and the marginal price of the next share after selling them.
+ * A loan is repaid in proportion to the shares sold.
  */
-function calculateAmountToBuyShares(pool, p, shares, outcome) {
-    if (shares <= 0) return 0;
+function solveOptimalSale(shares, saleValueOf, marginalPrice, closeTime, currentTime, targetRate, loan = 0) {
+    const hold = {
+        sharesToSell: 0,
+        saleValue: 0,
+        loanRepaid: 0,
+        remainingShares: shares,
+        remainingReturn: null
+    };
     
-    const y = pool.YES || 0;
-    const n = pool.NO || 0;
-    const prob = (y + n) > 0 ? n / (y + n) : 0.5;
+    if (!closeTime) return hold;
     
-    let minAmount = outcome === 'YES' ? shares * prob : shares * (1 - prob);
-    let maxAmount = shares;
-    let mid = 0;
+    const daysUntilClose = (closeTime - currentTime) / (1000 * 60 * 60 * 24);
+    if (daysUntilClose <= 0) return hold;
     
-    // Binary search
-    for (let i = 0; i < 50; i++) {
-        mid = (minAmount + maxAmount) / 2;
-        const sharesReceived = calculateCpmmShares(pool, p, mid, outcome);
-        
-        if (Math.abs(sharesReceived - shares) < 0.0001) {
-            return mid;
-        } else if (sharesReceived < shares) {
-            minAmount = mid;
-        } else {
-            maxAmount = mid;
-        }
-    }
+    const fullSaleValue = saleValueOf(shares);
+    if (fullSaleValue <= 0) return hold;
     
-    return mid;
-}
-
-/**
- * Calculate sale value using the correct AMM mechanism:
- * To sell YES shares: buy NO shares, then redeem YES+NO pairs
- */
-function calculateSaleValue(shares, outcome, pool, p, mechanism) {
-    if (!['cpmm-1', 'cpmm-multi-1'].includes(mechanism)) {
-        return 0;
-    }
+    // Marginal price at which holding a share returns exactly the target rate
+    // on its equity (price minus its share of the loan)
+    const effectiveDays = Math.max(daysUntilClose, 1);
+    const periodRate = getPeriodRate(targetRate, effectiveDays);
+    const loanPerShare = shares > 0 ? loan / shares : 0;
+    const targetPrice = (1 + periodRate * loanPerShare) / (1 + periodRate);
     
-    const y = pool.YES || 0;
-    const n = pool.NO || 0;
+    let sharesToSell;
+    if (marginalPrice(0) <= targetPrice) {
+        sharesToSell = 0;
+    } else if (marginalPrice(shares) >= targetPrice) {
+        sharesToSell = shares;
+    } else {
+        // Binary search: marginal price falls as more shares are sold
+        let low = 0;
+        let high = shares;
+        for (let i = 0; i < 50; i++) {
+            const mid = (low + high) / 2;
+            if (marginalPrice(mid) > targetPrice) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+            if (high - low < 0.0001) break;
+        }
+        sharesToSell = (low + high) / 2;
+    }
     
-    if (y <= 0 || n <= 0) return 0;
+    const saleValue = sharesToSell > 0 ? saleValueOf(sharesToSell) : 0;
+    const remainingShares = shares - sharesToSell;
+    const loanRepaid = loanPerShare * sharesToSell;
     
-    // To sell: buy opposite shares, then redeem pairs
-    const oppositeOutcome = outcome === 'YES' ? 'NO' : 'YES';
-    const buyAmount = calculateAmountToBuyShares(pool, p, shares, oppositeOutcome);
+    // Selling is path independent, so the remaining shares are worth the rest of the full sale
+    const remainingReturn = remainingShares > 0.0001
+        ? calculateReturnIfCorrect(fullSaleValue - saleValue, remainingShares, closeTime, currentTime, loan - loanRepaid)
+        : null;
     
-    // Sale value = shares redeemed - cost to buy opposite
-    return Math.max(0, shares - buyAmount);
+    return {
+        sharesToSell,
+        saleValue,
+        loanRepaid,
+        remainingShares,
+        remainingReturn
+    };
 }
 
 /**
@@ -159,26 +1514,226 @@ function calculateSimpleSaleValue(shares, probability, outcome) {
 
 /**
  * Calculate annualized return IF the position wins
+ * With an outstanding loan the return is on net equity (sale value minus loan),
+ * since the loan is repaid whether we sell now or get paid out
  */
-function calculateReturnIfCorrect(saleValue, shares, closeTime, currentTime) {
+function calculateReturnIfCorrect(saleValue, shares, closeTime, currentTime, loan = 0) {
     if (!closeTime) return null;
     
     const daysUntilClose = (closeTime - currentTime) / (1000 * 60 * 60 * 24);
+    const equity = saleValue - loan;
     
-    if (daysUntilClose <= 0 || saleValue <= 0) return null;
+    if (daysUntilClose <= 0 || saleValue <= 0 || equity <= 0) return null;
     
     const profitIfCorrect = shares - saleValue;
     const effectiveDays = Math.max(daysUntilClose, 1);
     
-    return (profitIfCorrect / saleValue) * (365 / effectiveDays);
+    return annualizeReturn(profitIfCorrect / equity, effectiveDays);
+}
+
+/**
+ * Calculate annualized expected return using a belief probability
+ * (the probability that the held outcome wins)
+ */
+function calculateExpectedReturn(saleValue, shares, winProbability, closeTime, currentTime, loan = 0) {
+    if (!closeTime) return null;
+    
+    const daysUntilClose = (closeTime - currentTime) / (1000 * 60 * 60 * 24);
+    const equity = saleValue - loan;
+    
+    if (daysUntilClose <= 0 || saleValue <= 0 || equity <= 0) return null;
+    
+    const expectedProfit = shares * winProbability - saleValue;
+    const effectiveDays = Math.max(daysUntilClose, 1);
+    
+    return annualizeReturn(expectedProfit / equity, effectiveDays);
+}
+
+/**
+ * Calculate the Kelly fraction of bankroll to hold in an outcome
+ * bought at `price` that we believe wins with `winProbability`
+ */
+function calculateKellyFraction(winProbability, price) {
+    if (price <= 0 || price >= 1) return 0;
+    
+    return Math.max(0, (winProbability - price) / (1 - price));
+}
+
+/**
+ * Key identifying a position (per answer for multi-choice markets)
+ */
+function getPositionKey(contractId, answerId) {
+    return answerId ? `${contractId}:${answerId}` : contractId;
+}
+
+/**
+ * How a contract's positions are priced:
+ *   'amm'        - independent CPMM pool (binary, pseudo-numeric, independent multi-choice)
+ *   'linked-amm' - multi-choice answers that sum to one
+ *   'fair'       - other mechanisms (e.g. legacy DPM): probability × shares, no slippage
+ */
+function getPricingMethod(contract) {
+    if (contract.mechanism === 'cpmm-1') return 'amm';
+    if (contract.mechanism === 'cpmm-multi-1') {
+        return contract.shouldAnswersSumToOne ? 'linked-amm' : 'amm';
+    }
+    return 'fair';
+}
+
+/**
+ * Expand metrics whose shares are keyed by answer (legacy DPM multi-choice)
+ * into one YES holding per answer
+ */
+function expandAnswerShares(metricsList) {
+    const expanded = [];
+    
+    for (const metrics of metricsList) {
+        const totalShares = metrics.totalShares || {};
+        const answerKeys = Object.keys(totalShares).filter(key => key !== 'YES' && key !== 'NO');
+        
+        if (answerKeys.length === 0) {
+            expanded.push(metrics);
+            continue;
+        }
+        
+        // Cost and profit are for the whole market and can't be split between answers
+        const unattributed = answerKeys.length > 1 ? { invested: undefined, profit: undefined, payout: undefined } : {};
+        
+        answerKeys.forEach(key => expanded.push({
+            ...metrics,
+            ...unattributed,
+            answerId: key,
+            totalShares: { YES: totalShares[key] }
+        }));
+    }
+    
+    return expanded;
+}
+
+/**
+ * Cost basis and profit of a position from its contract metrics, or null
+ * where the metrics don't say. value: what the position is worth now (sale
+ * value plus redeemable pairs), or null if it couldn't be priced.
+ * Manifold's `profit` also counts shares already sold while its `payout`
+ * values only the shares held, so the difference between the two, less the
+ * unrealized part, is what selling has realized.
+ */
+function calculateProfit(metrics, value) {
+    const costBasis = typeof metrics.invested === 'number' ? metrics.invested : null;
+    const unrealizedProfit = costBasis !== null && value !== null ? value - costBasis : null;
+    const profitPercent = unrealizedProfit !== null && costBasis > 0 ? unrealizedProfit / costBasis : null;
+    
+    let realizedProfit = null;
+    if (costBasis !== null && typeof metrics.profit === 'number' && typeof metrics.payout === 'number') {
+        realizedProfit = metrics.profit - (metrics.payout - costBasis);
+    }
+    
+    return { costBasis, unrealizedProfit, profitPercent, realizedProfit };
+}
+
+/**
+ * Risk signals: when a position's pool, recent moves or creator cross these
+ * thresholds it is flagged as thin, volatile or from an unreliable creator
+ */
+const PROBABILITY_CHANGE_DAYS = 7;
+const RISK_THRESHOLDS = {
+    thinLiquidity: 250,       // pool depth (see getPoolLiquidity)
+    volatileMove24h: 0.05,    // probability points moved in a day
+    volatileMove7d: 0.15,     // ... or in a week
+    creatorNaShare: 0.1,      // share of the creator's markets resolved N/A
+    creatorLateShare: 0.25    // share resolved late
+};
+
+/**
+ * Depth of a CPMM pool: YES^p · NO^(1 − p), the pool's invariant, which grows
+ * with the liquidity in it. Null without a pool.
+ */
+function getPoolLiquidity(pool, p) {
+    const y = pool.YES || 0;
+    const n = pool.NO || 0;
+    
+    if (y <= 0 || n <= 0) return null;
+    
+    return Math.pow(y, p) * Math.pow(n, 1 - p);
+}
+
+/**
+ * Probability of YES at `time` from a market's recent bets (see
+ * getRecentBets), or null if the history doesn't reach back that far.
+ * Walks back from the current probability through the bets since then.
+ *
+ * Answers of a linked market sum to one, so a bet on another answer moves
+ * this one too. Manifold records that arbitrage as fills on the other answers
+ * in the same bet group; where a group has no fill on this answer, its share
+ * of the move is undone by scaling, as if the rest of the probability had
+ * been spread over the other answers in proportion.
+ */
+function getProbabilityAt(history, answerId, time, currentProbability, linked = false) {
+    if (time < history.since) return null;
+    
+    const isOwn = bet => String(bet.answerId || '') === String(answerId || '');
+    const filledGroups = new Set(history.bets.filter(bet => isOwn(bet) && bet.betGroupId).map(bet => bet.betGroupId));
+    
+    let probability = currentProbability;
+    for (const bet of history.bets) {
+        if (bet.createdTime <= time) break;
+        
+        if (isOwn(bet)) {
+            probability = bet.probBefore;
+        } else if (linked && !filledGroups.has(bet.betGroupId) && bet.probAfter < 1) {
+            probability *= (1 - bet.probBefore) / (1 - bet.probAfter);
+        }
+    }
+    return probability;
+}
+
+/**
+ * Combine a position's risk signals into flags and a level: 'low' with no
+ * flags, 'medium' with one and 'high' with more. The level is null when
+ * none of the signals is known.
+ */
+function assessRisk(signals) {
+    const known = value => value !== null && value !== undefined;
+    const flags = [];
+    
+    if (known(signals.liquidity) && signals.liquidity < RISK_THRESHOLDS.thinLiquidity) {
+        flags.push('thin');
+    }
+    if ((known(signals.probabilityChange24h) && Math.abs(signals.probabilityChange24h) > RISK_THRESHOLDS.volatileMove24h) ||
+        (known(signals.probabilityChange7d) && Math.abs(signals.probabilityChange7d) > RISK_THRESHOLDS.volatileMove7d)) {
+        flags.push('volatile');
+    }
+    if ((known(signals.creatorNaShare) && signals.creatorNaShare > RISK_THRESHOLDS.creatorNaShare) ||
+        (known(signals.creatorLateShare) && signals.creatorLateShare > RISK_THRESHOLDS.creatorLateShare)) {
+        flags.push('unreliable-creator');
+    }
+    
+    const anyKnown = [
+        signals.liquidity,
+        signals.probabilityChange24h,
+        signals.probabilityChange7d,
+        signals.creatorNaShare,
+        signals.creatorLateShare
+    ].some(known);
+    const riskLevel = !anyKnown ? null : flags.length === 0 ? 'low' : flags.length === 1 ? 'medium' : 'high';
+    
+    return { riskLevel, riskFlags: flags };
 }
 
 /**
  * Process raw API data into analyzed positions
+ * beliefs: optional map of position key -> YES probability overrides
+ * rawData.limitOrdersByContract: optional open limit orders by contract id,
+ * filled against in orderBookSaleValue (which also pays fees)
+ * rawData.recentBetsByContract, rawData.creatorRecords: optional recent bets
+ * by contract id and track records by creator id, for the risk signals
  */
-function processPositions(rawData) {
+function processPositions(rawData, beliefs) {
     const contracts = rawData.contracts || [];
     const metricsByContract = rawData.metricsByContract || {};
+    const limitOrdersByContract = rawData.limitOrdersByContract || {};
+    const recentBetsByContract = rawData.recentBetsByContract || {};
+    const creatorRecords = rawData.creatorRecords || {};
     
     // Create lookup
     const contractsLookup = {};
@@ -195,20 +1750,28 @@ function processPositions(rawData) {
         if (contract.isResolved) continue;
         
         const mechanism = contract.mechanism || '';
-        if (!['cpmm-1', 'cpmm-multi-1'].includes(mechanism)) continue;
+        const outcomeType = contract.outcomeType || '';
+        const pricing = getPricingMethod(contract);
         
-        for (const metrics of metricsList) {
+        for (const metrics of expandAnswerShares(metricsList)) {
             const totalShares = metrics.totalShares || {};
             const yesShares = totalShares.YES || 0;
             const noShares = totalShares.NO || 0;
             
             if (yesShares <= 0 && noShares <= 0) continue;
             
-            // Get dominant position
+            // Multi-choice markets also have a summary row without an answerId;
+            // the per-answer rows already cover it (including its loan). Pricing it
+            // would add a position that can't be priced.
+            if (!metrics.answerId && (contract.answers || []).length > 0) continue;
+            
+            // Net out matched YES/NO pairs: each pair redeems for M$1 with no slippage,
+            // so only the net exposure is priced through the AMM
+            const hedgedShares = Math.min(yesShares, noShares);
             const outcome = yesShares > noShares ? 'YES' : 'NO';
-            const shares = yesShares > noShares ? yesShares : noShares;
+            const shares = Math.abs(yesShares - noShares);
             
-            if (shares < 0.01) continue;
+            if (shares < 0.01 && hedgedShares < 0.01) continue;
             
             // Get market data
             const closeTime = contract.closeTime;
@@ -216,55 +1779,148 @@ function processPositions(rawData) {
             const slug = contract.slug || '';
             const creatorUsername = contract.creatorUsername || '';
             const url = slug ? `https://manifold.markets/${creatorUsername}/${slug}` : '';
+            const groupSlugs = contract.groupSlugs || [];
             const p = contract.p || 0.5;
             
+            // Outstanding loan is repaid out of the proceeds when selling. The
+            // redeemable pairs repay it first; only the rest is charged against
+            // the equity in the net shares.
+            const loan = metrics.loan || 0;
+            const pricedLoan = Math.max(loan - hedgedShares, 0);
+            
             let probability = null;
             let pool = {};
             const answerId = metrics.answerId;
             let answerText = null;
             
-            if (mechanism === 'cpmm-1') {
+            // Returns are annualized to when the market is expected to resolve
+            const resolution = getExpectedResolution(contract, answerId, currentTime);
+            const resolutionTime = resolution.time;
+            const resolutionFields = {
+                expectedResolutionTime: resolutionTime,
+                daysUntilResolution: (resolutionTime - currentTime) / (1000 * 60 * 60 * 24),
+                resolutionSource: resolution.source,
+                resolutionLagDays: resolution.lagDays
+            };
+            
+            if (!answerId) {
                 probability = contract.prob;
-                pool = contract.pool || {};
-            } else if (mechanism === 'cpmm-multi-1' && answerId) {
+                pool = pricing === 'amm' ? contract.pool || {} : {};
+            } else {
                 const answers = contract.answers || [];
-                for (const ans of answers) {
-                    if (ans.id === answerId) {
-                        // Skip resolved answers
-                        if (ans.resolution !== undefined && ans.resolution !== null) {
-                            break;
-                        }
-                        probability = ans.prob;
-                        answerText = ans.text || '';
+                const ans = answers.find(a => String(a.id) === String(answerId));
+                
+                // Skip resolved answers
+                if (ans && ans.resolution !== undefined && ans.resolution !== null) {
+                    continue;
+                }
+                
+                if (ans) {
+                    probability = ans.prob !== undefined ? ans.prob : ans.probability;
+                    answerText = ans.text || '';
+                    if (pricing !== 'fair') {
                         pool = {
                             YES: ans.poolYes || 0,
                             NO: ans.poolNo || 0
                         };
-                        break;
                     }
                 }
             }
             
+            if (probability === undefined) {
+                probability = null;
+            }
+            
             // Fallback probability from pool
             if (probability === null) {
-                const yesPool = pool.YES || 0;
-                const noPool = pool.NO || 0;
-                if (yesPool > 0 && noPool > 0) {
-                    probability = noPool / (yesPool + noPool);
-                } else {
-                    continue;
-                }
+                probability = getCpmmProbability(pool, p);
+            }
+            
+            // Risk signals: pool depth, recent moves and the creator's record
+            const history = recentBetsByContract[contractId];
+            const probabilityChange = (days) => {
+                if (!history || probability === null) return null;
+                const then = getProbabilityAt(history, answerId, currentTime - days * 24 * 60 * 60 * 1000, probability,
+                    pricing === 'linked-amm');
+                return then === null ? null : probability - then;
+            };
+            const creatorRecord = creatorRecords[contract.creatorId] || null;
+            const riskSignals = {
+                liquidity: getPoolLiquidity(pool, p),
+                probabilityChange24h: probabilityChange(1),
+                probabilityChange7d: probabilityChange(PROBABILITY_CHANGE_DAYS),
+                creatorResolvedMarkets: creatorRecord ? creatorRecord.resolvedMarkets : null,
+                creatorNaShare: creatorRecord ? creatorRecord.naShare : null,
+                creatorLateShare: creatorRecord ? creatorRecord.lateShare : null
+            };
+            const riskFields = { ...riskSignals, ...assessRisk(riskSignals) };
+            
+            // Keep positions we can't price so they don't silently disappear
+            if (probability === null) {
+                positions.push({
+                    contractId,
+                    answerId: answerId || null,
+                    question,
+                    answer: answerText,
+                    url,
+                    groupSlugs,
+                    mechanism,
+                    outcomeType,
+                    pricing: 'none',
+                    outcome,
+                    shares,
+                    hedgedShares,
+                    redemptionValue: hedgedShares,
+                    isHedged: hedgedShares >= 0.01,
+                    loan,
+                    netProceeds: hedgedShares - loan,
+                    saleValue: 0,
+                    orderBookSaleValue: null,
+                    fairValue: 0,
+                    slippage: 0,
+                    probability: null,
+                    daysUntilClose: closeTime ? (closeTime - currentTime) / (1000 * 60 * 60 * 24) : null,
+                    ...resolutionFields,
+                    ...riskFields,
+                    returnIfCorrect: null,
+                    optimalSellShares: null,
+                    optimalSellValue: 0,
+                    optimalSellNet: 0,
+                    remainingReturn: null,
+                    beliefProbability: null,
+                    hasBelief: false,
+                    expectedReturn: null,
+                    kellyFraction: 0,
+                    ...calculateProfit(metrics, null)
+                });
+                continue;
             }
             
+            // Belief probability: user override, else the market probability
+            const beliefOverride = beliefs ? beliefs[getPositionKey(contractId, answerId)] : undefined;
+            const hasBelief = typeof beliefOverride === 'number';
+            const beliefProbability = hasBelief ? beliefOverride : probability;
+            
             // Calculate values
             let ammSaleValue = 0;
-            if (pool.YES > 0 && pool.NO > 0) {
+            if (pricing === 'linked-amm') {
+                ammSaleValue = calculateLinkedSaleValue(shares, outcome, answerId, contract.answers || []);
+            } else if (pricing === 'amm' && pool.YES > 0 && pool.NO > 0) {
                 ammSaleValue = calculateSaleValue(shares, outcome, pool, p, mechanism);
             }
             
             const fairValue = calculateSimpleSaleValue(shares, probability, outcome);
             const saleValue = ammSaleValue > 0 ? ammSaleValue : fairValue;
             
+            // The same sale through the order book, after fees
+            // (unknown if the market's limit orders couldn't be fetched)
+            let orderBookSaleValue = null;
+            if (pricing === 'amm' && ammSaleValue > 0 && limitOrdersByContract[contractId] !== null) {
+                const limitOrders = (limitOrdersByContract[contractId] || [])
+                    .filter(bet => String(bet.answerId || '') === String(answerId || ''));
+                orderBookSaleValue = calculateOrderBookSaleValue(shares, outcome, pool, p, mechanism, limitOrders);
+            }
+            
             // Calculate slippage
             let slippage = 0;
             if (fairValue > 0 && ammSaleValue > 0) {
@@ -272,7 +1928,21 @@ function processPositions(rawData) {
             }
             
             // Calculate return if correct
-            const returnIfCorrect = calculateReturnIfCorrect(saleValue, shares, closeTime, currentTime);
+            const returnIfCorrect = calculateReturnIfCorrect(saleValue, shares, resolutionTime, currentTime, pricedLoan);
+            
+            // Calculate how much of the position to sell
+            let optimalSale = { sharesToSell: null, saleValue: 0, loanRepaid: 0, remainingShares: shares, remainingReturn: null };
+            if (ammSaleValue > 0 && pricing === 'linked-amm') {
+                optimalSale = calculateLinkedOptimalSale(shares, outcome, answerId, contract.answers || [], resolutionTime, currentTime, getHurdleRate(), pricedLoan);
+            } else if (ammSaleValue > 0) {
+                optimalSale = calculateOptimalSale(shares, outcome, pool, p, mechanism, resolutionTime, currentTime, getHurdleRate(), pricedLoan);
+            }
+            
+            // Calculate probability-weighted return and Kelly sizing
+            const winProbability = outcome === 'YES' ? beliefProbability : 1 - beliefProbability;
+            const price = outcome === 'YES' ? probability : 1 - probability;
+            const expectedReturn = calculateExpectedReturn(saleValue, shares, winProbability, resolutionTime, currentTime, pricedLoan);
+            const kellyFraction = calculateKellyFraction(winProbability, price);
             
             // Days until close
             let daysUntilClose = null;
@@ -282,60 +1952,240 @@ function processPositions(rawData) {
             
             positions.push({
                 contractId,
+                answerId: answerId || null,
                 question,
                 answer: answerText,
                 url,
+                groupSlugs,
+                mechanism,
+                outcomeType,
+                // Pairs with no net exposure are worth their redemption value,
+                // with nothing left to price through the AMM
+                pricing: shares < 0.01 ? 'hedged' : ammSaleValue > 0 ? pricing : 'fair',
                 outcome,
                 shares,
+                hedgedShares,
+                redemptionValue: hedgedShares,
+                isHedged: hedgedShares >= 0.01,
+                loan,
+                netProceeds: saleValue + hedgedShares - loan,
                 saleValue,
+                orderBookSaleValue,
                 fairValue,
                 slippage,
                 probability,
                 daysUntilClose,
-                returnIfCorrect
+                ...resolutionFields,
+                ...riskFields,
+                returnIfCorrect,
+                optimalSellShares: optimalSale.sharesToSell,
+                optimalSellValue: optimalSale.saleValue,
+                optimalSellNet: optimalSale.saleValue - optimalSale.loanRepaid,
+                remainingReturn: optimalSale.remainingReturn,
+                beliefProbability,
+                hasBelief,
+                expectedReturn,
+                kellyFraction,
+                ...calculateProfit(metrics, saleValue + hedgedShares)
             });
         }
     }
     
+    applyKellyStakes(positions);
+    
     return positions;
 }
 
+/**
+ * Kelly stakes are a fraction of the whole portfolio's sale value, so they are
+ * set once all of an account's positions are known
+ */
+function applyKellyStakes(positions) {
+    const bankroll = positions.reduce((sum, pos) => sum + pos.saleValue, 0);
+    positions.forEach(pos => {
+        pos.kellyStake = pos.kellyFraction * bankroll;
+    });
+}
+
 /**
  * Filter positions below margin rate and sort
  */
 function getPositionsBelowMarginRate(positions) {
+    const hurdleRate = getHurdleRate();
     return positions
-        .filter(p => p.returnIfCorrect !== null && p.returnIfCorrect < MARGIN_RATE_ANNUAL)
+        .filter(p => p.returnIfCorrect !== null && p.returnIfCorrect < hurdleRate)
         .sort((a, b) => (a.returnIfCorrect || 0) - (b.returnIfCorrect || 0));
 }
 
 /**
  * Get all positions sorted: below margin first (ascending), then above margin (descending)
+ * sortBasis: 'returnIfCorrect' (default) or 'expectedReturn'
  */
-function getAllPositionsSorted(positions) {
-    const withReturns = positions.filter(p => p.returnIfCorrect !== null);
+function getAllPositionsSorted(positions, sortBasis) {
+    const key = sortBasis || 'returnIfCorrect';
+    const withReturns = positions.filter(p => p.returnIfCorrect !== null && p[key] !== null);
     
     // Split into below and above margin rate
-    const belowMargin = withReturns.filter(p => p.returnIfCorrect < MARGIN_RATE_ANNUAL);
-    const aboveMargin = withReturns.filter(p => p.returnIfCorrect >= MARGIN_RATE_ANNUAL);
+    const hurdleRate = getHurdleRate();
+    const belowMargin = withReturns.filter(p => p[key] < hurdleRate);
+    const aboveMargin = withReturns.filter(p => p[key] >= hurdleRate);
     
     // Sort below by return ascending (worst first)
-    belowMargin.sort((a, b) => (a.returnIfCorrect || 0) - (b.returnIfCorrect || 0));
+    belowMargin.sort((a, b) => (a[key] || 0) - (b[key] || 0));
     
     // Sort above by return descending (best first)
-    aboveMargin.sort((a, b) => (b.returnIfCorrect || 0) - (a.returnIfCorrect || 0));
+    aboveMargin.sort((a, b) => (b[key] || 0) - (a[key] || 0));
+    
+    // Positions without a return (unpriced, or no close date) go last
+    const ranked = new Set(withReturns);
+    const unranked = positions.filter(p => !ranked.has(p));
     
     // Combine: below margin first, then above margin
-    return [...belowMargin, ...aboveMargin];
+    return [...belowMargin, ...aboveMargin, ...unranked];
+}
+
+/**
+ * Alert rule types. A rule is { id, type, value }:
+ *   returnBelow: return if correct is below value (annual, as a fraction)
+ *   closesWithin: the market closes within value days
+ *   slippageAbove: selling loses more than value (a fraction) to slippage
+ *   probabilityMove: the probability moved more than value since the last check
+ */
+const ALERT_RULE_TYPES = ['returnBelow', 'closesWithin', 'slippageAbove', 'probabilityMove'];
+
+/**
+ * Identifies a position across checks: owner, market, answer and side
+ */
+function getAlertMatchKey(position) {
+    return `${(position.owner || '').toLowerCase()}:${getPositionKey(position.contractId, position.answerId)}:${position.outcome}`;
+}
+
+/**
+ * Whether a position matches a rule. previous is the same position at the
+ * last check, if it was held then.
+ */
+function matchesAlertRule(rule, position, previous) {
+    switch (rule.type) {
+        case 'returnBelow':
+            return position.returnIfCorrect !== null && position.returnIfCorrect < rule.value;
+        case 'closesWithin':
+            return position.daysUntilClose !== null && position.daysUntilClose >= 0 && position.daysUntilClose <= rule.value;
+        case 'slippageAbove':
+            return position.slippage > rule.value;
+        case 'probabilityMove':
+            return Boolean(previous) && position.probability !== null && previous.probability != null &&
+                Math.abs(position.probability - previous.probability) > rule.value;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Evaluate alert rules against processed positions
+ * previousPositions: the positions at the last check, for probability moves
+ * Returns [{ key, rule, position, previous }], key being unique per rule and position
+ */
+function evaluateAlertRules(rules, positions, previousPositions = []) {
+    const previousByKey = new Map(previousPositions.map(p => [getAlertMatchKey(p), p]));
+    const matches = [];
+    
+    rules.forEach(rule => {
+        positions.forEach(position => {
+            const positionKey = getAlertMatchKey(position);
+            const previous = previousByKey.get(positionKey) || null;
+            if (matchesAlertRule(rule, position, previous)) {
+                matches.push({ key: `${rule.id}:${positionKey}`, rule, position, previous });
+            }
+        });
+    });
+    
+    return matches;
+}
+
+/**
+ * POST alert matches to a webhook as JSON. Not retried, so an endpoint that
+ * answers slowly doesn't receive the same alerts twice.
+ */
+async function postAlertWebhook(url, matches, options = {}) {
+    const alerts = matches.map(({ rule, position, previous }) => ({
+        rule: { type: rule.type, value: rule.value },
+        owner: position.owner || null,
+        contractId: position.contractId,
+        answerId: position.answerId,
+        question: position.question,
+        answer: position.answer,
+        url: position.url,
+        outcome: position.outcome,
+        shares: position.shares,
+        saleValue: position.saleValue,
+        returnIfCorrect: position.returnIfCorrect,
+        daysUntilClose: position.daysUntilClose,
+        slippage: position.slippage,
+        probability: position.probability,
+        previousProbability: previous ? previous.probability : null
+    }));
+    
+    const response = await transport(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ timestamp: new Date(Date.now()).toISOString(), alerts }),
+        signal: options.signal
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Webhook returned ${response.status}`);
+    }
 }
 
-// Export for use in app.js
-window.ManifoldAPI = {
+const ManifoldAPI = {
+    setTransport,
+    setApiBaseUrl,
+    setRetryPolicy,
+    setResponseCache,
+    getUser,
     getUserId,
     getUserPositions,
+    getUsersPositions,
+    getMarketBySlug,
+    getMarket,
+    setApiKey,
+    hasApiKey,
+    getAuthenticatedUser,
+    sellShares,
+    executeSells,
+    quoteSale,
     processPositions,
+    applyKellyStakes,
     getPositionsBelowMarginRate,
     getAllPositionsSorted,
+    calculateOptimalSale,
+    calculateLinkedSaleValue,
+    calculateSellCurve,
+    simulateTrades,
+    calculateReturnIfCorrect,
+    getPositionKey,
+    evaluateAlertRules,
+    postAlertWebhook,
+    ALERT_RULE_TYPES,
+    setHurdleModel,
+    getHurdleModel,
+    setResolutionModel,
+    getResolutionModel,
+    getExpectedResolution,
+    getCreatorTrackRecords,
+    assessRisk,
+    RISK_THRESHOLDS,
+    getHurdleRate,
+    estimateAnnualRoi,
+    CACHE_TTL_MS,
     MARGIN_RATE_ANNUAL,
     MARGIN_RATE_DAILY
 };
+
+// Node gets a CommonJS module; the page and the pricing Web Worker (which has
+// no `window`) get a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ManifoldAPI;
+} else {
+    self.ManifoldAPI = ManifoldAPI;
+}
@@ -0,0 +1,387 @@
+/**
+ * Rebalancing planner: pick below-margin positions to sell and positions or
+ * markets to buy into, and see what the plan does to the portfolio's return
+ */
+
+// Row keys of the positions ticked for selling
+const plannerSells = new Set();
+
+// Amount to buy (M$) by buy candidate key
+const plannerAmounts = new Map();
+
+// Markets added by URL or slug: { key, contract, answerId, outcome }
+let plannerMarkets = [];
+
+function resetPlanner() {
+    plannerSells.clear();
+    plannerAmounts.clear();
+    plannerMarkets = [];
+}
+
+/**
+ * Show or hide the planner
+ */
+function togglePlanner() {
+    const section = document.getElementById('planner-section');
+    section.classList.toggle('hidden');
+    
+    if (!section.classList.contains('hidden')) {
+        renderPlanner();
+    }
+}
+
+/**
+ * Re-render the planner after the positions changed, if it is open
+ */
+function updatePlanner() {
+    if (!document.getElementById('planner-section').classList.contains('hidden')) {
+        renderPlanner();
+    }
+}
+
+/**
+ * Above-margin positions to add to, followed by the added markets
+ */
+function getBuyCandidates() {
+    const positions = currentPositions
+        .filter(p => p.returnIfCorrect !== null && !isBelowMargin(p) && currentContracts.has(p.contractId))
+        .map(p => ({
+            key: `position:${getRowKey(p)}:${p.outcome}`,
+            contract: currentContracts.get(p.contractId),
+            answerId: p.answerId,
+            outcome: p.outcome,
+            owner: p.owner
+        }));
+    
+    return [...positions, ...plannerMarkets];
+}
+
+/**
+ * Equity in a position's net shares: the sale value less whatever part of
+ * the loan its redeemable pairs don't cover
+ */
+function getPositionEquity(position) {
+    return position.saleValue - Math.max(position.loan - position.hedgedShares, 0);
+}
+
+/**
+ * Annualized return if correct of a set of holdings, weighted by the equity
+ * in each (see getPositionEquity)
+ */
+function getBlendedReturn(holdings) {
+    const weighted = holdings.filter(h => h.returnIfCorrect !== null && h.equity > 0);
+    const totalEquity = weighted.reduce((sum, h) => sum + h.equity, 0);
+    
+    if (totalEquity <= 0) return null;
+    return weighted.reduce((sum, h) => sum + h.equity * h.returnIfCorrect, 0) / totalEquity;
+}
+
+/**
+ * Price the current plan: sells first, then buys, each moving its market's pool
+ */
+function buildPlan() {
+    const sellPositions = currentPositions.filter(p => isBelowMargin(p) && plannerSells.has(getRowKey(p)));
+    const buyCandidates = getBuyCandidates().filter(c => (plannerAmounts.get(c.key) || 0) > 0);
+    
+    const priceable = sellPositions.filter(p => currentContracts.has(p.contractId));
+    const results = ManifoldAPI.simulateTrades([
+        ...priceable.map(p => ({
+            type: 'sell',
+            contract: currentContracts.get(p.contractId),
+            answerId: p.answerId,
+            outcome: p.outcome,
+            shares: p.shares
+        })),
+        ...buyCandidates.map(c => ({
+            type: 'buy',
+            contract: c.contract,
+            answerId: c.answerId,
+            outcome: c.outcome,
+            amount: plannerAmounts.get(c.key)
+        }))
+    ]);
+    
+    // Positions without an AMM sell at fair value, as in the table
+    const sells = sellPositions.map(position => {
+        const result = results[priceable.indexOf(position)];
+        const proceeds = result && result.priced ? result.proceeds : position.saleValue;
+        return {
+            position,
+            proceeds,
+            loanRepaid: position.loan,
+            probabilityAfter: result && result.priced ? result.probabilityAfter : null
+        };
+    });
+    
+    const now = Date.now();
+    const buys = buyCandidates.map((candidate, i) => {
+        const result = results[priceable.length + i];
+        const amount = plannerAmounts.get(candidate.key);
+        return {
+            candidate,
+            amount,
+            priced: result.priced,
+            shares: result.priced ? result.shares : null,
+            averagePrice: result.priced ? result.averagePrice : null,
+            probabilityAfter: result.priced ? result.probabilityAfter : null,
+            returnIfCorrect: result.priced
+                ? ManifoldAPI.calculateReturnIfCorrect(amount, result.shares,
+                    ManifoldAPI.getExpectedResolution(candidate.contract, candidate.answerId, now).time, now)
+                : null
+        };
+    });
+    
+    const recovered = sells.reduce((sum, s) => sum + s.proceeds, 0);
+    const loansRepaid = sells.reduce((sum, s) => sum + s.loanRepaid, 0);
+    const deployed = buys.filter(b => b.priced).reduce((sum, b) => sum + b.amount, 0);
+    
+    const holdings = currentPositions.map(p => ({ equity: getPositionEquity(p), returnIfCorrect: p.returnIfCorrect }));
+    const keptHoldings = currentPositions
+        .filter(p => !sellPositions.includes(p))
+        .map(p => ({ equity: getPositionEquity(p), returnIfCorrect: p.returnIfCorrect }));
+    const boughtHoldings = buys
+        .filter(b => b.priced)
+        .map(b => ({ equity: b.amount, returnIfCorrect: b.returnIfCorrect }));
+    
+    return {
+        sells,
+        buys,
+        recovered,
+        loansRepaid,
+        freed: recovered - loansRepaid,
+        deployed,
+        remaining: recovered - loansRepaid - deployed,
+        blendedBefore: getBlendedReturn(holdings),
+        blendedAfter: getBlendedReturn([...keptHoldings, ...boughtHoldings])
+    };
+}
+
+/**
+ * Question and answer text of a contract
+ */
+function describeMarket(contract, answerId) {
+    const answer = answerId ? (contract.answers || []).find(a => String(a.id) === String(answerId)) : null;
+    return answer ? `${contract.question} ↳ ${answer.text}` : contract.question;
+}
+
+function getMarketUrl(contract) {
+    return contract.url || (contract.slug ? `https://manifold.markets/${contract.creatorUsername}/${contract.slug}` : '');
+}
+
+function renderPlanner() {
+    const plan = buildPlan();
+    const sellCandidates = currentPositions.filter(isBelowMargin);
+    const buyCandidates = getBuyCandidates();
+    const showOwner = currentAccounts.length > 1;
+    const pct = value => value === null ? '—' : `${(value * 100).toFixed(2)}%`;
+    const mana = value => `M$${value.toFixed(2)}`;
+    const label = (contract, answerId, owner) => `
+        <a href="${escapeHtml(getMarketUrl(contract))}" target="_blank" class="market-link">${escapeHtml(describeMarket(contract, answerId))}</a>
+        ${showOwner && owner ? `<span class="answer-text">${escapeHtml(owner)}</span>` : ''}
+    `;
+    
+    const sellRows = sellCandidates.map(position => {
+        const key = getRowKey(position);
+        const planned = plan.sells.find(s => s.position === position);
+        return `
+            <tr>
+                <td><input type="checkbox" data-sell-key="${escapeHtml(key)}" ${planned ? 'checked' : ''}></td>
+                <td>${label({ question: position.question, url: position.url }, null, position.owner)}
+                    ${position.answer ? `<span class="answer-text">↳ ${escapeHtml(position.answer)}</span>` : ''}</td>
+                <td class="right">${position.shares.toFixed(1)} ${formatOutcome(position)}</td>
+                <td class="right">${pct(position.returnIfCorrect)}</td>
+                <td class="right">${planned ? mana(planned.proceeds) : '—'}</td>
+                <td class="right">${planned ? mana(planned.proceeds - planned.loanRepaid) : '—'}</td>
+                <td class="right">${planned ? pct(planned.probabilityAfter) : '—'}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    const buyRows = buyCandidates.map(candidate => {
+        const planned = plan.buys.find(b => b.candidate.key === candidate.key);
+        const amount = plannerAmounts.get(candidate.key);
+        const isAdded = plannerMarkets.includes(candidate);
+        const answers = (candidate.contract.answers || []).filter(a => a.resolution === undefined || a.resolution === null);
+        
+        const sideCell = isAdded
+            ? `${answers.length > 0 ? `
+                <select data-answer-key="${escapeHtml(candidate.key)}">
+                    ${answers.map(a => `<option value="${escapeHtml(String(a.id))}" ${String(a.id) === String(candidate.answerId) ? 'selected' : ''}>${escapeHtml(a.text)}</option>`).join('')}
+                </select>` : ''}
+                <select data-outcome-key="${escapeHtml(candidate.key)}">
+                    <option value="YES" ${candidate.outcome === 'YES' ? 'selected' : ''}>YES</option>
+                    <option value="NO" ${candidate.outcome === 'NO' ? 'selected' : ''}>NO</option>
+                </select>`
+            : candidate.outcome;
+        
+        let result = '—';
+        if (planned && !planned.priced) {
+            result = 'No AMM to price this buy';
+        } else if (planned) {
+            result = `${planned.shares.toFixed(1)} shares at ${planned.averagePrice.toFixed(3)}, ${pct(planned.probabilityAfter)} after`;
+        }
+        
+        return `
+            <tr>
+                <td>${label(candidate.contract, isAdded ? null : candidate.answerId, candidate.owner)}</td>
+                <td>${sideCell}</td>
+                <td class="right">
+                    <input type="number" class="planner-amount" min="0" step="1" placeholder="M$"
+                        data-buy-key="${escapeHtml(candidate.key)}" value="${amount || ''}">
+                </td>
+                <td class="right">${result}</td>
+                <td class="right">${planned ? pct(planned.returnIfCorrect) : '—'}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    document.getElementById('planner-body').innerHTML = `
+        <div class="planner-totals">
+            <div><span>Mana recovered</span>${mana(plan.recovered)}</div>
+            <div><span>Loans repaid</span>${mana(plan.loansRepaid)}</div>
+            <div><span>Mana redeployed</span>${mana(plan.deployed)}</div>
+            <div class="${plan.remaining < 0 ? 'negative' : ''}"><span>Cash left over</span>${mana(plan.remaining)}</div>
+            <div><span>Blended return if correct</span>${pct(plan.blendedBefore)} → ${pct(plan.blendedAfter)}</div>
+        </div>
+        
+        <h3>Sell</h3>
+        ${sellRows ? `
+            <table class="planner-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Market</th>
+                        <th class="right">Position</th>
+                        <th class="right">Return If Correct</th>
+                        <th class="right">Proceeds</th>
+                        <th class="right">After Loan</th>
+                        <th class="right">Probability After</th>
+                    </tr>
+                </thead>
+                <tbody>${sellRows}</tbody>
+            </table>
+        ` : '<p class="compare-empty">No positions below the margin rate.</p>'}
+        
+        <h3>Buy</h3>
+        ${buyRows ? `
+            <table class="planner-table">
+                <thead>
+                    <tr>
+                        <th>Market</th>
+                        <th>Side</th>
+                        <th class="right">Amount</th>
+                        <th class="right">Fill</th>
+                        <th class="right">Return If Correct</th>
+                    </tr>
+                </thead>
+                <tbody>${buyRows}</tbody>
+            </table>
+        ` : '<p class="compare-empty">No positions above the margin rate. Add a market below.</p>'}
+    `;
+}
+
+// One delegated listener for every control in the planner
+document.getElementById('planner-body').addEventListener('change', (event) => {
+    const { sellKey, buyKey, answerKey, outcomeKey } = event.target.dataset;
+    
+    if (sellKey) {
+        if (event.target.checked) {
+            plannerSells.add(sellKey);
+        } else {
+            plannerSells.delete(sellKey);
+        }
+    } else if (buyKey) {
+        const amount = parseFloat(event.target.value);
+        if (isNaN(amount) || amount <= 0) {
+            plannerAmounts.delete(buyKey);
+        } else {
+            plannerAmounts.set(buyKey, amount);
+        }
+    } else if (answerKey) {
+        plannerMarkets.find(m => m.key === answerKey).answerId = event.target.value;
+    } else if (outcomeKey) {
+        plannerMarkets.find(m => m.key === outcomeKey).outcome = event.target.value;
+    } else {
+        return;
+    }
+    
+    renderPlanner();
+});
+
+/**
+ * Slug from a market URL (https://manifold.markets/user/slug) or a bare slug
+ */
+function parseMarketSlug(text) {
+    const trimmed = text.trim();
+    if (trimmed.includes('manifold.markets/')) {
+        return trimmed.split('manifold.markets/')[1].split(/[?#]/)[0].split('/').filter(part => part)[1] || '';
+    }
+    return trimmed;
+}
+
+/**
+ * Add a market by URL or slug as a buy candidate
+ */
+async function addPlannerMarket() {
+    const input = document.getElementById('planner-market');
+    const slug = parseMarketSlug(input.value);
+    if (!slug) return;
+    
+    hideError();
+    
+    try {
+        const contract = await ManifoldAPI.getMarketBySlug(slug);
+        if (contract.isResolved) {
+            throw new Error(`"${contract.question}" has already resolved`);
+        }
+        
+        const answers = (contract.answers || []).filter(a => a.resolution === undefined || a.resolution === null);
+        plannerMarkets.push({
+            key: `market:${contract.id}:${plannerMarkets.length}`,
+            contract,
+            answerId: answers.length > 0 ? answers[0].id : null,
+            outcome: 'YES'
+        });
+        
+        input.value = '';
+        renderPlanner();
+    } catch (error) {
+        showError(`Could not add market: ${error.message}`);
+    }
+}
+
+/**
+ * Download the plan as a Markdown checklist of trades
+ */
+function exportPlan() {
+    const plan = buildPlan();
+    const pct = value => value === null ? '—' : `${(value * 100).toFixed(2)}%`;
+    const owner = name => currentAccounts.length > 1 && name ? ` (${name})` : '';
+    
+    const lines = [
+        `# Rebalancing plan, ${new Date().toLocaleString()}`,
+        '',
+        '## Sell',
+        '',
+        ...plan.sells.map(({ position, proceeds, loanRepaid }) =>
+            `- [ ] Sell ${position.shares.toFixed(2)} ${formatOutcome(position)} in "${position.answer ? `${position.question} ↳ ${position.answer}` : position.question}"${owner(position.owner)}` +
+            ` for about M$${proceeds.toFixed(2)}${loanRepaid > 0 ? ` (repays M$${loanRepaid.toFixed(2)} loan)` : ''} ${position.url}`),
+        '',
+        '## Buy',
+        '',
+        ...plan.buys.filter(b => b.priced).map(({ candidate, amount, shares, averagePrice }) =>
+            `- [ ] Buy M$${amount.toFixed(2)} of ${candidate.outcome} in "${describeMarket(candidate.contract, candidate.answerId)}"${owner(candidate.owner)}` +
+            ` for about ${shares.toFixed(2)} shares at ${averagePrice.toFixed(3)} ${getMarketUrl(candidate.contract)}`),
+        '',
+        '## Totals',
+        '',
+        `- Mana recovered: M$${plan.recovered.toFixed(2)}`,
+        `- Loans repaid: M$${plan.loansRepaid.toFixed(2)}`,
+        `- Mana redeployed: M$${plan.deployed.toFixed(2)}`,
+        `- Cash left over: M$${plan.remaining.toFixed(2)}`,
+        `- Blended return if correct: ${pct(plan.blendedBefore)} before, ${pct(plan.blendedAfter)} after`,
+        ''
+    ];
+    
+    downloadFile(`manifold-plan-${new Date().toISOString().slice(0, 10)}.md`, lines.join('\n'), 'text/markdown');
+}
@@ -0,0 +1,18 @@
+/**
+ * Web Worker that prices positions off the main thread, so the binary
+ * searches in the AMM math don't freeze the page for large portfolios
+ */
+
+importScripts('manifold-api.js');
+
+self.onmessage = (event) => {
+    const { id, rawData, beliefs, hurdleModel, resolutionModel } = event.data;
+    
+    try {
+        ManifoldAPI.setHurdleModel(hurdleModel);
+        ManifoldAPI.setResolutionModel(resolutionModel);
+        self.postMessage({ id, positions: ManifoldAPI.processPositions(rawData, beliefs) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
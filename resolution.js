@@ -0,0 +1,180 @@
+/**
+ * Expected resolution dates: the settings panel, per-position overrides and
+ * each creator's close-to-resolution lag. Settings and overrides are kept in
+ * localStorage; creator records are looked up again with every analysis.
+ */
+
+const RESOLUTION_STORAGE_KEY = 'manifold-analyzer-resolution';
+
+/**
+ * Restore the saved settings and overrides into the resolution model
+ */
+function loadResolutionSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(RESOLUTION_STORAGE_KEY)) || {};
+        ManifoldAPI.setResolutionModel({
+            ...(saved.defaultHorizonDays > 0 ? { defaultHorizonDays: saved.defaultHorizonDays } : {}),
+            ...(typeof saved.useCreatorLag === 'boolean' ? { useCreatorLag: saved.useCreatorLag } : {}),
+            overrides: saved.overrides || {}
+        });
+    } catch (e) {
+        ManifoldAPI.setResolutionModel({});
+    }
+}
+
+function saveResolutionSettings() {
+    const { defaultHorizonDays, useCreatorLag, overrides } = ManifoldAPI.getResolutionModel();
+    localStorage.setItem(RESOLUTION_STORAGE_KEY, JSON.stringify({ defaultHorizonDays, useCreatorLag, overrides }));
+}
+
+function populateResolutionPanel() {
+    const model = ManifoldAPI.getResolutionModel();
+    document.getElementById('use-creator-lag').checked = model.useCreatorLag;
+    document.getElementById('default-horizon').value = model.defaultHorizonDays;
+}
+
+/**
+ * Apply the resolution panel. Turning creator lags on needs their markets,
+ * so that re-analyzes; anything else only re-prices.
+ */
+function applyResolutionSettings() {
+    const model = ManifoldAPI.getResolutionModel();
+    const useCreatorLag = document.getElementById('use-creator-lag').checked;
+    const horizon = parseFloat(document.getElementById('default-horizon').value);
+    const fetchLags = useCreatorLag && !model.useCreatorLag;
+    
+    ManifoldAPI.setResolutionModel({
+        ...model,
+        useCreatorLag,
+        defaultHorizonDays: horizon > 0 ? horizon : model.defaultHorizonDays
+    });
+    saveResolutionSettings();
+    populateResolutionPanel();
+    
+    if (currentAccounts.length === 0) return;
+    if (fetchLags) {
+        analyzePortfolio();
+    } else {
+        refreshResults();
+    }
+}
+
+/**
+ * Look up the track records of the creators of every open market in the
+ * accounts, for their resolution lags and, with risk signals on, their
+ * reliability (kept in each account's rawData.creatorRecords). A creator's
+ * record changes slowly, so their markets are read from the response cache
+ * even on a fresh analysis. Resolves to whether any creator's record is known.
+ */
+async function updateCreatorRecords(accounts, options) {
+    const model = ManifoldAPI.getResolutionModel();
+    if (!model.useCreatorLag && !useRiskSignals()) return false;
+    
+    const creatorIds = accounts.flatMap(({ rawData }) => rawData.contracts
+        .filter(contract => !contract.isResolved)
+        .map(contract => contract.creatorId));
+    const records = await ManifoldAPI.getCreatorTrackRecords(creatorIds, updateLoadingDetail, { ...options, useCache: true });
+    
+    const creatorLagDays = {};
+    Object.entries(records).forEach(([creatorId, record]) => {
+        if (record.lagDays !== null) {
+            creatorLagDays[creatorId] = record.lagDays;
+        }
+    });
+    ManifoldAPI.setResolutionModel({ ...ManifoldAPI.getResolutionModel(), creatorLagDays });
+    
+    if (useRiskSignals()) {
+        accounts.forEach(({ rawData }) => rawData.creatorRecords = records);
+    }
+    return Object.keys(records).length > 0;
+}
+
+/**
+ * Set or (with null) clear the expected resolution date of a position, then
+ * re-price and show the updated position in the detail panel
+ */
+async function setResolutionOverride(position, time) {
+    const model = ManifoldAPI.getResolutionModel();
+    const key = ManifoldAPI.getPositionKey(position.contractId, position.answerId);
+    const overrides = { ...model.overrides };
+    
+    if (time === null) {
+        delete overrides[key];
+    } else {
+        overrides[key] = time;
+    }
+    ManifoldAPI.setResolutionModel({ ...model, overrides });
+    saveResolutionSettings();
+    
+    const positions = await refreshResults();
+    const updated = positions && positions.find(p => getRowKey(p) === getRowKey(position));
+    if (updated) {
+        openDetailPanel(updated);
+    }
+}
+
+function applyResolutionOverride() {
+    const value = document.getElementById('detail-resolution-date').value;
+    if (!value) return;
+    
+    setResolutionOverride(detailPosition, new Date(`${value}T00:00`).getTime());
+}
+
+function clearResolutionOverride() {
+    setResolutionOverride(detailPosition, null);
+}
+
+/**
+ * Where a position's expected resolution date comes from, in words
+ */
+function describeResolutionSource(position) {
+    if (position.resolutionSource === 'override') return 'your date';
+    if (position.resolutionSource === 'creator') return `close + ${Math.round(position.resolutionLagDays)}d creator lag`;
+    if (position.resolutionSource === 'default') return 'no close date: default horizon';
+    if (position.resolutionSource === 'overdue') {
+        return position.resolutionLagDays !== null
+            ? `closed: now + ${Math.round(position.resolutionLagDays)}d creator lag`
+            : 'closed: default horizon';
+    }
+    return 'close date';
+}
+
+function formatResolutionDate(time) {
+    return new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Table cell: days to the expected resolution, with the date and its source
+ */
+function formatExpectedResolution(position) {
+    if (position.expectedResolutionTime === null || position.expectedResolutionTime === undefined) return '—';
+    
+    return `${Math.round(position.daysUntilResolution)}
+        <span class="resolution-date resolution-${position.resolutionSource}" title="Returns are annualized to this date">
+            ${formatResolutionDate(position.expectedResolutionTime)} · ${describeResolutionSource(position)}
+        </span>`;
+}
+
+/**
+ * Expected resolution date controls for the detail panel
+ */
+function renderResolutionForm(position) {
+    if (position.expectedResolutionTime === null || position.expectedResolutionTime === undefined) return '';
+    
+    const date = new Date(position.expectedResolutionTime);
+    const value = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    
+    return `
+        <div class="detail-resolution">
+            <label>
+                Expected resolution
+                <input type="date" id="detail-resolution-date" value="${value}">
+            </label>
+            <button type="button" class="settings-btn" onclick="applyResolutionOverride()">Use this date</button>
+            ${position.resolutionSource === 'override'
+                ? '<button type="button" class="settings-btn" onclick="clearResolutionOverride()">Use estimate</button>'
+                : ''}
+            <span class="detail-note">${escapeHtml(describeResolutionSource(position))}</span>
+        </div>
+    `;
+}
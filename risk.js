@@ -0,0 +1,90 @@
+/**
+ * Market-risk signals in the table: pool liquidity, recent probability moves
+ * and the creator's track record, combined into a risk badge. Liquidity is
+ * always known; moves and track records need more requests, so they are
+ * fetched only when turned on.
+ */
+
+const RISK_SIGNALS_STORAGE_KEY = 'manifold-analyzer-risk-signals';
+
+const RISK_FLAG_LABELS = {
+    thin: 'thin pool',
+    volatile: 'volatile',
+    'unreliable-creator': 'creator often resolves N/A or late'
+};
+
+function useRiskSignals() {
+    return localStorage.getItem(RISK_SIGNALS_STORAGE_KEY) === 'true';
+}
+
+function populateRiskPanel() {
+    document.getElementById('use-risk-signals').checked = useRiskSignals();
+}
+
+/**
+ * Save the choice. Turning the signals on fetches them; turning them off
+ * drops what was fetched and re-prices.
+ */
+function applyRiskSettings() {
+    const enabled = document.getElementById('use-risk-signals').checked;
+    localStorage.setItem(RISK_SIGNALS_STORAGE_KEY, enabled);
+    
+    if (currentAccounts.length === 0) return;
+    if (enabled) {
+        analyzePortfolio();
+        return;
+    }
+    
+    currentAccounts.forEach(({ rawData }) => {
+        delete rawData.recentBetsByContract;
+        delete rawData.creatorRecords;
+    });
+    refreshResults();
+}
+
+/**
+ * Badge for the market cell: the combined risk level, with the reasons on hover
+ */
+function formatRiskBadge(position) {
+    if (!position.riskLevel) return '';
+    
+    const reasons = position.riskFlags.map(flag => RISK_FLAG_LABELS[flag]);
+    const title = reasons.length > 0 ? `Risk: ${reasons.join(', ')}` : 'No risk signal crossed its threshold';
+    return `<span class="risk-badge risk-${position.riskLevel}" title="${escapeHtml(title)}">${position.riskLevel} risk</span>`;
+}
+
+function formatLiquidity(position) {
+    if (position.liquidity === null) return '—';
+    
+    const thin = position.riskFlags.includes('thin');
+    return `<span class="${thin ? 'risk-flagged' : ''}">${Math.round(position.liquidity).toLocaleString()}</span>`;
+}
+
+/**
+ * Probability change over a day, with the week's change underneath
+ */
+function formatProbabilityChange(position) {
+    const points = value => {
+        if (value === null) return '—';
+        const rounded = Number(Math.abs(value * 100).toFixed(1));
+        return `${rounded === 0 ? '' : value > 0 ? '+' : '−'}${rounded}pt`;
+    };
+    
+    if (position.probabilityChange24h === null && position.probabilityChange7d === null) return '—';
+    
+    const volatile = position.riskFlags.includes('volatile');
+    return `<span class="${volatile ? 'risk-flagged' : ''}">${points(position.probabilityChange24h)}</span>
+        <span class="net-proceeds">${points(position.probabilityChange7d)} in 7d</span>`;
+}
+
+/**
+ * Share of the creator's resolved markets that resolved N/A, with the share
+ * resolved late underneath
+ */
+function formatCreatorRecord(position) {
+    if (position.creatorResolvedMarkets === null) return '—';
+    
+    const unreliable = position.riskFlags.includes('unreliable-creator');
+    return `<span class="${unreliable ? 'risk-flagged' : ''}" title="Over ${position.creatorResolvedMarkets} resolved markets">${formatPercent(position.creatorNaShare)} N/A</span>
+        <span class="net-proceeds">${formatPercent(position.creatorLateShare)} late</span>`;
+}
@@ -0,0 +1,187 @@
+/**
+ * Hurdle rate settings panel
+ * The chosen model is encoded in the URL so shared links reproduce the analysis
+ */
+
+const hurdleSourceSelect = document.getElementById('hurdle-source');
+const hurdleDailyInput = document.getElementById('hurdle-daily');
+const hurdleRoiInput = document.getElementById('hurdle-roi');
+const hurdleAnnualizationSelect = document.getElementById('hurdle-annualization');
+
+/**
+ * Read a hurdle model from URL parameters
+ */
+function hurdleModelFromParams(params) {
+    const model = {};
+    
+    const source = params.get('hurdle');
+    if (['margin', 'custom', 'roi'].includes(source)) {
+        model.source = source;
+    }
+    
+    const dailyRate = parseFloat(params.get('daily'));
+    if (!isNaN(dailyRate) && dailyRate >= 0) {
+        model.dailyRate = dailyRate;
+    }
+    
+    const roiAnnual = parseFloat(params.get('roi'));
+    if (!isNaN(roiAnnual)) {
+        model.roiAnnual = roiAnnual;
+    }
+    
+    if (params.get('annualize') === 'compound') {
+        model.annualization = 'compound';
+    }
+    
+    return model;
+}
+
+/**
+ * Write the non-default parts of a hurdle model into URL parameters
+ */
+function hurdleModelToParams(model, params) {
+    if (model.source !== 'margin') {
+        params.set('hurdle', model.source);
+    }
+    if (model.source === 'custom') {
+        params.set('daily', model.dailyRate);
+    }
+    if (model.source === 'roi') {
+        params.set('roi', model.roiAnnual);
+    }
+    if (model.annualization === 'compound' && model.source !== 'roi') {
+        params.set('annualize', 'compound');
+    }
+    return params;
+}
+
+/**
+ * Fill the settings panel from the current hurdle model
+ */
+function populateSettingsPanel() {
+    const model = ManifoldAPI.getHurdleModel();
+    
+    hurdleSourceSelect.value = model.source;
+    hurdleDailyInput.value = +(model.dailyRate * 100).toFixed(6);
+    hurdleRoiInput.value = +(model.roiAnnual * 100).toFixed(4);
+    hurdleAnnualizationSelect.value = model.annualization;
+    
+    updateSettingsFields();
+    updateMarginInfo();
+}
+
+/**
+ * Only show the inputs that apply to the selected source
+ */
+function updateSettingsFields() {
+    const source = hurdleSourceSelect.value;
+    document.getElementById('hurdle-daily-field').classList.toggle('hidden', source !== 'custom');
+    document.getElementById('hurdle-roi-field').classList.toggle('hidden', source !== 'roi');
+    document.getElementById('hurdle-annualization-field').classList.toggle('hidden', source === 'roi');
+}
+
+/**
+ * Apply the settings panel to the hurdle model and re-analyze
+ */
+function applySettings() {
+    // The annualization control is hidden for an ROI, which is already annual
+    const model = {
+        source: hurdleSourceSelect.value,
+        annualization: hurdleSourceSelect.value === 'roi' ? 'simple' : hurdleAnnualizationSelect.value
+    };
+    
+    const dailyPercent = parseFloat(hurdleDailyInput.value);
+    if (!isNaN(dailyPercent) && dailyPercent >= 0) {
+        model.dailyRate = dailyPercent / 100;
+    }
+    
+    const roiPercent = parseFloat(hurdleRoiInput.value);
+    if (!isNaN(roiPercent)) {
+        model.roiAnnual = roiPercent / 100;
+    }
+    
+    ManifoldAPI.setHurdleModel(model);
+    
+    updateSettingsFields();
+    updateMarginInfo();
+    
+    const usernames = parseUsernames(usernameInput.value);
+    if (usernames.length > 0) {
+        updateShareUrl(usernames, true);
+    }
+    refreshResults();
+}
+
+/**
+ * Estimate the annual ROI from the entered user's profile
+ * (the first account, when several are entered)
+ */
+async function useHistoricalRoi() {
+    const username = parseUsernames(usernameInput.value)[0];
+    if (!username) {
+        showError('Please enter a username');
+        return;
+    }
+    
+    hideError();
+    
+    try {
+        const user = await ManifoldAPI.getUser(username);
+        const roi = ManifoldAPI.estimateAnnualRoi(user);
+        
+        if (roi === null) {
+            showError(`Not enough profile data to estimate ROI for "${username}"`);
+            return;
+        }
+        
+        hurdleRoiInput.value = (roi * 100).toFixed(2);
+        applySettings();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Describe the hurdle rate in the results header
+ */
+function updateMarginInfo() {
+    const model = ManifoldAPI.getHurdleModel();
+    const annualPercent = (ManifoldAPI.getHurdleRate() * 100).toFixed(1);
+    const compounding = model.annualization === 'compound' ? ', compounded' : '';
+    
+    let text;
+    if (model.source === 'roi') {
+        text = `Hurdle rate (historical ROI): <strong>${annualPercent}% annually</strong>`;
+    } else if (model.source === 'custom') {
+        text = `Hurdle rate (custom): <strong>${+(model.dailyRate * 100).toFixed(4)}% daily = ${annualPercent}% annually${compounding}</strong>`;
+    } else {
+        text = `Margin loan rate: <strong>0.03% daily = ${annualPercent}% annually${compounding}</strong>`;
+    }
+    
+    document.getElementById('margin-info').innerHTML = text;
+}
+
+/**
+ * Sale pricing: whether to fetch open limit orders for the order-book-aware
+ * sale value (fees are always included)
+ */
+const LIMIT_ORDERS_STORAGE_KEY = 'manifold-analyzer-limit-orders';
+
+function useLimitOrders() {
+    return localStorage.getItem(LIMIT_ORDERS_STORAGE_KEY) === 'true';
+}
+
+function populateSalePricingPanel() {
+    document.getElementById('use-limit-orders').checked = useLimitOrders();
+}
+
+/**
+ * Save the choice and re-analyze, since the limit orders have to be fetched
+ */
+function applySalePricingSettings() {
+    localStorage.setItem(LIMIT_ORDERS_STORAGE_KEY, document.getElementById('use-limit-orders').checked);
+    
+    if (currentAccounts.length > 0) {
+        analyzePortfolio();
+    }
+}
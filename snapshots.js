@@ -0,0 +1,324 @@
+/**
+ * Portfolio history: every analysis run is stored as a snapshot in IndexedDB
+ * and can be compared against the previous run for the same user
+ */
+
+const SNAPSHOT_DB_NAME = 'manifold-analyzer';
+const SNAPSHOT_STORE = 'snapshots';
+const PROBABILITY_MOVE_THRESHOLD = 0.05;  // 5 percentage points
+
+// History kept per user: every run from the last week, the last run of each
+// day before that, and never more than SNAPSHOT_LIMIT runs in all
+const SNAPSHOT_KEEP_ALL_DAYS = 7;
+const SNAPSHOT_LIMIT = 200;
+
+let currentSnapshot = null;
+let previousSnapshot = null;
+
+/**
+ * Open (and create if needed) the snapshot database
+ */
+function openSnapshotDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+        
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('username', 'username');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request against the snapshot store and resolve with its result
+ */
+async function withSnapshotStore(mode, callback) {
+    const db = await openSnapshotDb();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SNAPSHOT_STORE, mode);
+        const request = callback(transaction.objectStore(SNAPSHOT_STORE));
+        
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Build a snapshot record from analyzed positions
+ */
+function createSnapshot(username, positions) {
+    return {
+        username: username.toLowerCase(),
+        timestamp: Date.now(),
+        hurdleRate: ManifoldAPI.getHurdleRate(),
+        positions: positions.map(p => ({
+            key: ManifoldAPI.getPositionKey(p.contractId, p.answerId),
+            owner: p.owner,
+            contractId: p.contractId,
+            answerId: p.answerId,
+            question: p.question,
+            answer: p.answer,
+            url: p.url,
+            outcome: p.outcome,
+            shares: p.shares,
+            saleValue: p.saleValue,
+            probability: p.probability,
+            returnIfCorrect: p.returnIfCorrect
+        }))
+    };
+}
+
+/**
+ * Store a snapshot and return it with its new id
+ */
+async function saveSnapshot(snapshot) {
+    const id = await withSnapshotStore('readwrite', store => store.add(snapshot));
+    return { ...snapshot, id };
+}
+
+/**
+ * Get all snapshots for a user, oldest first
+ */
+async function getSnapshots(username) {
+    const snapshots = await withSnapshotStore('readonly',
+        store => store.index('username').getAll(username.toLowerCase()));
+    return snapshots.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+async function getAllSnapshots() {
+    return withSnapshotStore('readonly', store => store.getAll());
+}
+
+/**
+ * Ids of the snapshots (one user's, oldest first) that fall outside the
+ * history kept
+ */
+function getSnapshotsToPrune(snapshots, now) {
+    const keepAllSince = now - SNAPSHOT_KEEP_ALL_DAYS * 24 * 60 * 60 * 1000;
+    const day = snapshot => new Date(snapshot.timestamp).toDateString();
+    
+    const kept = snapshots.filter((snapshot, i) => snapshot.timestamp >= keepAllSince ||
+        i === snapshots.length - 1 || day(snapshots[i + 1]) !== day(snapshot));
+    const keptIds = new Set(kept.slice(-SNAPSHOT_LIMIT).map(snapshot => snapshot.id));
+    
+    return snapshots.filter(snapshot => !keptIds.has(snapshot.id)).map(snapshot => snapshot.id);
+}
+
+async function deleteSnapshots(ids) {
+    if (ids.length === 0) return;
+    await withSnapshotStore('readwrite', store => {
+        ids.forEach(id => store.delete(id));
+    });
+}
+
+/**
+ * Save this run's snapshot and remember the previous one for comparison
+ */
+async function recordSnapshot(username, positions) {
+    const history = await getSnapshots(username);
+    previousSnapshot = history.length > 0 ? history[history.length - 1] : null;
+    currentSnapshot = await saveSnapshot(createSnapshot(username, positions));
+    await deleteSnapshots(getSnapshotsToPrune([...history, currentSnapshot], currentSnapshot.timestamp));
+    
+    updateCompareButton();
+    if (!document.getElementById('compare-section').classList.contains('hidden')) {
+        renderComparison();
+    }
+}
+
+/**
+ * Compare two snapshots. Positions are matched by owner, key and outcome, so a
+ * position that flipped sides counts as closed and re-opened.
+ */
+function compareSnapshots(previous, current, hurdleRate) {
+    // Single-account snapshots may not record an owner
+    const matchKey = (snapshot, p) => `${(p.owner || snapshot.username).toLowerCase()}:${p.key}:${p.outcome}`;
+    const previousByKey = new Map(previous.positions.map(p => [matchKey(previous, p), p]));
+    const currentByKey = new Map(current.positions.map(p => [matchKey(current, p), p]));
+    
+    const diff = {
+        newPositions: [],
+        closedPositions: [],
+        probabilityMoves: [],
+        crossedBelow: [],
+        crossedAbove: []
+    };
+    
+    for (const [key, position] of currentByKey) {
+        const before = previousByKey.get(key);
+        if (!before) {
+            diff.newPositions.push(position);
+            continue;
+        }
+        
+        if (position.probability !== null && before.probability !== null &&
+            Math.abs(position.probability - before.probability) >= PROBABILITY_MOVE_THRESHOLD) {
+            diff.probabilityMoves.push({ before, after: position });
+        }
+        
+        if (position.returnIfCorrect === null || before.returnIfCorrect === null) continue;
+        
+        const wasBelow = before.returnIfCorrect < hurdleRate;
+        const isBelow = position.returnIfCorrect < hurdleRate;
+        if (!wasBelow && isBelow) {
+            diff.crossedBelow.push({ before, after: position });
+        } else if (wasBelow && !isBelow) {
+            diff.crossedAbove.push({ before, after: position });
+        }
+    }
+    
+    for (const [key, position] of previousByKey) {
+        if (!currentByKey.has(key)) {
+            diff.closedPositions.push(position);
+        }
+    }
+    
+    diff.probabilityMoves.sort((a, b) =>
+        Math.abs(b.after.probability - b.before.probability) - Math.abs(a.after.probability - a.before.probability));
+    
+    return diff;
+}
+
+/**
+ * Show or hide the comparison with the previous run
+ */
+function toggleComparison() {
+    const section = document.getElementById('compare-section');
+    section.classList.toggle('hidden');
+    
+    if (!section.classList.contains('hidden')) {
+        renderComparison();
+    }
+}
+
+function updateCompareButton() {
+    const button = document.getElementById('compare-btn');
+    button.disabled = !previousSnapshot;
+    button.title = previousSnapshot
+        ? `Previous run: ${new Date(previousSnapshot.timestamp).toLocaleString()}`
+        : 'No previous run saved for this user';
+}
+
+/**
+ * Render the differences between the previous and the current snapshot
+ */
+function renderComparison() {
+    const container = document.getElementById('compare-body');
+    
+    if (!previousSnapshot || !currentSnapshot) {
+        container.innerHTML = '<p class="compare-empty">No previous run saved for this user yet.</p>';
+        return;
+    }
+    
+    const diff = compareSnapshots(previousSnapshot, currentSnapshot, ManifoldAPI.getHurdleRate());
+    const label = p => escapeHtml(p.answer ? `${p.question} ↳ ${p.answer}` : p.question);
+    const link = p => `<a href="${escapeHtml(p.url)}" target="_blank" class="market-link">${label(p)}</a>`;
+    const pct = value => `${(value * 100).toFixed(1)}%`;
+    
+    const sections = [
+        {
+            title: 'New positions',
+            items: diff.newPositions.map(p =>
+                `${link(p)} — ${p.shares.toFixed(1)} ${p.outcome}, M$${p.saleValue.toFixed(2)}`)
+        },
+        {
+            title: 'Closed positions',
+            items: diff.closedPositions.map(p =>
+                `${link(p)} — was ${p.shares.toFixed(1)} ${p.outcome}, M$${p.saleValue.toFixed(2)}`)
+        },
+        {
+            title: 'Fell below the margin rate',
+            className: 'compare-below',
+            items: diff.crossedBelow.map(({ before, after }) =>
+                `${link(after)} — ${pct(before.returnIfCorrect)} → ${pct(after.returnIfCorrect)}`)
+        },
+        {
+            title: 'Rose above the margin rate',
+            className: 'compare-above',
+            items: diff.crossedAbove.map(({ before, after }) =>
+                `${link(after)} — ${pct(before.returnIfCorrect)} → ${pct(after.returnIfCorrect)}`)
+        },
+        {
+            title: `Probability moves of ${pct(PROBABILITY_MOVE_THRESHOLD)} or more`,
+            items: diff.probabilityMoves.map(({ before, after }) =>
+                `${link(after)} — ${pct(before.probability)} → ${pct(after.probability)}`)
+        }
+    ];
+    
+    container.innerHTML = `
+        <p class="compare-meta">
+            Comparing with the run from ${new Date(previousSnapshot.timestamp).toLocaleString()}
+        </p>
+        ${sections.map(section => `
+            <div class="compare-group ${section.className || ''}">
+                <h3>${section.title} (${section.items.length})</h3>
+                ${section.items.length > 0
+                    ? `<ul>${section.items.map(item => `<li>${item}</li>`).join('')}</ul>`
+                    : '<p class="compare-empty">None</p>'}
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Download every stored snapshot as a JSON file
+ */
+async function exportSnapshots() {
+    try {
+        const snapshots = await getAllSnapshots();
+        downloadFile(
+            `manifold-snapshots-${new Date().toISOString().slice(0, 10)}.json`,
+            JSON.stringify({ version: 1, snapshots }, null, 2),
+            'application/json'
+        );
+    } catch (error) {
+        showError(`Could not export snapshots: ${error.message}`);
+    }
+}
+
+/**
+ * Import snapshots from a JSON file, skipping ones that are already stored
+ */
+async function importSnapshots(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    try {
+        const data = JSON.parse(await file.text());
+        const snapshots = Array.isArray(data) ? data : data.snapshots;
+        
+        if (!Array.isArray(snapshots) ||
+            !snapshots.every(s => s && typeof s.username === 'string' && typeof s.timestamp === 'number' && Array.isArray(s.positions))) {
+            throw new Error('not a snapshot export');
+        }
+        
+        const existing = new Set((await getAllSnapshots()).map(s => `${s.username}:${s.timestamp}`));
+        const toImport = snapshots.filter(s => !existing.has(`${s.username}:${s.timestamp}`));
+        
+        await withSnapshotStore('readwrite', store => {
+            toImport.forEach(({ id, ...snapshot }) => store.add(snapshot));
+        });
+        
+        // An imported run may now be the one to compare against
+        if (currentSnapshot) {
+            const earlier = (await getSnapshots(currentSnapshot.username))
+                .filter(s => s.timestamp < currentSnapshot.timestamp);
+            previousSnapshot = earlier.length > 0 ? earlier[earlier.length - 1] : null;
+            updateCompareButton();
+        }
+        
+        showNotice(`Imported ${toImport.length} snapshot${toImport.length === 1 ? '' : 's'} (${snapshots.length - toImport.length} already stored).`);
+    } catch (error) {
+        showError(`Could not import snapshots: ${error.message}`);
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * Team view: per-account subtotals and cross-account exposure when several
+ * accounts are analyzed together (?users=a,b,c)
+ */
+
+/**
+ * Sum the headline numbers for each account
+ */
+function getOwnerSubtotals(positions) {
+    const subtotals = new Map();
+    
+    positions.forEach(p => {
+        if (!subtotals.has(p.owner)) {
+            subtotals.set(p.owner, {
+                owner: p.owner,
+                positions: 0,
+                belowMargin: 0,
+                recoverable: 0,
+                payout: 0,
+                loans: 0,
+                freeCash: 0
+            });
+        }
+        
+        const subtotal = subtotals.get(p.owner);
+        subtotal.positions++;
+        
+        if (isBelowMargin(p)) {
+            subtotal.belowMargin++;
+            subtotal.recoverable += p.saleValue;
+            subtotal.payout += p.shares;
+            subtotal.loans += p.loan;
+            subtotal.freeCash += p.netProceeds;
+        }
+    });
+    
+    return [...subtotals.values()];
+}
+
+/**
+ * Find markets (or answers) held by more than one account.
+ * A market is "opposing" when the accounts hold different sides of it.
+ */
+function findCrossAccountExposure(positions) {
+    const byKey = new Map();
+    
+    positions.forEach(p => {
+        if (p.shares < 0.01) return;
+        
+        const key = ManifoldAPI.getPositionKey(p.contractId, p.answerId);
+        if (!byKey.has(key)) {
+            byKey.set(key, []);
+        }
+        byKey.get(key).push(p);
+    });
+    
+    const exposures = [];
+    for (const holdings of byKey.values()) {
+        const owners = new Set(holdings.map(p => p.owner));
+        if (owners.size < 2) continue;
+        
+        const netYesShares = holdings.reduce((sum, p) => sum + (p.outcome === 'YES' ? p.shares : -p.shares), 0);
+        
+        exposures.push({
+            question: holdings[0].question,
+            answer: holdings[0].answer,
+            url: holdings[0].url,
+            holdings,
+            opposing: new Set(holdings.map(p => p.outcome)).size > 1,
+            netYesShares,
+            totalSaleValue: holdings.reduce((sum, p) => sum + p.saleValue, 0)
+        });
+    }
+    
+    // Opposing positions first, then by capital at stake
+    return exposures.sort((a, b) => (b.opposing - a.opposing) || (b.totalSaleValue - a.totalSaleValue));
+}
+
+/**
+ * Show or hide the team views depending on how many accounts are in the results
+ */
+function renderTeamViews(positions) {
+    const owners = new Set(positions.map(p => p.owner));
+    const isTeam = owners.size > 1;
+    
+    document.getElementById('positions-table').classList.toggle('single-owner', !isTeam);
+    document.getElementById('owner-subtotals').classList.toggle('hidden', !isTeam);
+    document.getElementById('exposure-btn').classList.toggle('hidden', !isTeam);
+    
+    if (!isTeam) {
+        document.getElementById('exposure-section').classList.add('hidden');
+        return;
+    }
+    
+    renderOwnerSubtotals(getOwnerSubtotals(positions));
+    
+    const exposures = findCrossAccountExposure(positions);
+    const opposingCount = exposures.filter(e => e.opposing).length;
+    document.getElementById('exposure-btn').textContent =
+        `Cross-account exposure (${exposures.length}${opposingCount > 0 ? `, ${opposingCount} opposing` : ''})`;
+    renderExposure(exposures);
+}
+
+function renderOwnerSubtotals(subtotals) {
+    const money = value => `M$${Math.round(value).toLocaleString()}`;
+    
+    document.getElementById('owner-subtotals').innerHTML = `
+        <table class="subtotals-table">
+            <thead>
+                <tr>
+                    <th>Account</th>
+                    <th class="right">Positions</th>
+                    <th class="right">Below Margin</th>
+                    <th class="right">Recoverable</th>
+                    <th class="right">Payout</th>
+                    <th class="right">Loans Repaid</th>
+                    <th class="right">Free Cash</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${subtotals.map(s => `
+                    <tr>
+                        <td>${escapeHtml(s.owner)}</td>
+                        <td class="right">${s.positions}</td>
+                        <td class="right">${s.belowMargin}</td>
+                        <td class="right">${money(s.recoverable)}</td>
+                        <td class="right">${money(s.payout)}</td>
+                        <td class="right">${money(s.loans)}</td>
+                        <td class="right">${money(s.freeCash)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderExposure(exposures) {
+    const container = document.getElementById('exposure-body');
+    
+    if (exposures.length === 0) {
+        container.innerHTML = '<p class="compare-empty">No market is held by more than one account.</p>';
+        return;
+    }
+    
+    container.innerHTML = exposures.map(e => `
+        <div class="exposure-item ${e.opposing ? 'exposure-opposing' : ''}">
+            <a href="${escapeHtml(e.url)}" target="_blank" class="market-link">${escapeHtml(e.question)}</a>
+            ${e.answer ? `<span class="answer-text">↳ ${escapeHtml(e.answer)}</span>` : ''}
+            <span class="exposure-kind">${e.opposing ? 'Opposing sides' : 'Same side'}</span>
+            <ul>
+                ${e.holdings.map(p => `
+                    <li>${escapeHtml(p.owner)}: ${p.shares.toFixed(1)} ${formatOutcome(p)} (M$${p.saleValue.toFixed(2)})</li>
+                `).join('')}
+            </ul>
+            <span class="exposure-net">
+                Combined: ${Math.abs(e.netYesShares).toFixed(1)} ${e.netYesShares >= 0 ? 'YES' : 'NO'} net, M$${e.totalSaleValue.toFixed(2)} at stake
+            </span>
+        </div>
+    `).join('');
+}
+
+function toggleExposure() {
+    document.getElementById('exposure-section').classList.toggle('hidden');
+}
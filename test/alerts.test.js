@@ -0,0 +1,76 @@
+/**
+ * Alert rules against processed positions, and the webhook
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApi, loadFixture } = require('./helpers/load-api');
+const { createStubServer } = require('./stub-server');
+
+const fixture = loadFixture('contract-metrics.json');
+const api = loadApi({ now: fixture.now });
+// Array.from copies into arrays of this realm, so deepStrictEqual can compare them
+const positions = Array.from(api.processPositions(fixture), p => ({ ...p, owner: 'FixtureUser' }));
+
+function matchedContracts(rules, previous) {
+    return Array.from(api.evaluateAlertRules(rules, positions, previous), m => m.position.contractId).sort();
+}
+
+test('threshold rules match the positions past the threshold', () => {
+    const lowest = Math.min(...positions.map(p => p.returnIfCorrect));
+    const lowestContract = positions.find(p => p.returnIfCorrect === lowest).contractId;
+    
+    assert.deepStrictEqual(matchedContracts([{ id: 1, type: 'returnBelow', value: lowest + 1e-9 }]), [lowestContract]);
+    assert.deepStrictEqual(matchedContracts([{ id: 1, type: 'returnBelow', value: lowest }]), []);
+    
+    assert.strictEqual(matchedContracts([{ id: 1, type: 'closesWithin', value: 365 }]).length,
+        positions.filter(p => p.daysUntilClose !== null).length);
+    assert.deepStrictEqual(matchedContracts([{ id: 1, type: 'closesWithin', value: 1 }]), []);
+    
+    const slipped = positions.filter(p => p.slippage > 0.1).map(p => p.contractId).sort();
+    assert.ok(slipped.length > 0);
+    assert.deepStrictEqual(matchedContracts([{ id: 1, type: 'slippageAbove', value: 0.1 }]), slipped);
+});
+
+test('probability moves compare against the previous check', () => {
+    const rule = { id: 1, type: 'probabilityMove', value: 0.05 };
+    const even = positions.find(p => p.contractId === 'bin-even');
+    
+    // Nothing to compare against on the first check
+    assert.deepStrictEqual(matchedContracts([rule], []), []);
+    
+    const previous = [
+        { ...even, probability: even.probability - 0.1 },
+        { ...even, outcome: 'NO', probability: 0.9 }
+    ];
+    assert.deepStrictEqual(matchedContracts([rule], previous), ['bin-even']);
+    assert.deepStrictEqual(matchedContracts([{ ...rule, value: 0.2 }], previous), []);
+});
+
+test('each match is keyed by rule and position', () => {
+    const rules = [{ id: 1, type: 'closesWithin', value: 365 }, { id: 2, type: 'closesWithin', value: 365 }];
+    const keys = api.evaluateAlertRules(rules, positions, []).map(m => m.key);
+    
+    assert.strictEqual(new Set(keys).size, keys.length);
+    assert.ok(keys.every(key => /^[12]:fixtureuser:/.test(key)));
+});
+
+test('matches are posted to the webhook', async (t) => {
+    const server = createStubServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+    
+    const matches = api.evaluateAlertRules([{ id: 1, type: 'slippageAbove', value: 0.1 }], positions, []);
+    await api.postAlertWebhook(webhookUrl, matches);
+    
+    assert.strictEqual(server.webhookPayloads.length, 1);
+    const [payload] = server.webhookPayloads;
+    assert.strictEqual(payload.timestamp, new Date(fixture.now).toISOString());
+    assert.strictEqual(payload.alerts.length, matches.length);
+    assert.deepStrictEqual(payload.alerts[0].rule, { type: 'slippageAbove', value: 0.1 });
+    assert.strictEqual(payload.alerts[0].owner, 'FixtureUser');
+    assert.strictEqual(payload.alerts[0].previousProbability, null);
+    
+    await assert.rejects(api.postAlertWebhook(webhookUrl.replace('/webhook', '/nowhere'), matches), /Webhook returned 404/);
+});
@@ -0,0 +1,435 @@
+/**
+ * API layer: injectable transport and the local stub server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApi, loadFixture } = require('./helpers/load-api');
+const { createStubServer } = require('./stub-server');
+
+function jsonResponse(body, status = 200, headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Headers(headers),
+        json: async () => body
+    };
+}
+
+/**
+ * API sandbox whose retries wait a millisecond instead of seconds
+ */
+function loadFastApi(options) {
+    const api = loadApi(options);
+    api.setRetryPolicy({ baseDelayMs: 1, maxDelayMs: 1 });
+    return api;
+}
+
+test('requests go through the injected transport', async () => {
+    const api = loadApi();
+    const requested = [];
+    
+    api.setTransport(async (url) => {
+        requested.push(url);
+        return jsonResponse(loadFixture('user.json'));
+    });
+    
+    assert.strictEqual(await api.getUserId('FixtureUser'), 'fixture-user-id');
+    assert.deepStrictEqual(requested, ['https://api.manifold.markets/v0/user/FixtureUser']);
+});
+
+test('positions are fetched page by page until a short page', async () => {
+    const api = loadApi();
+    const contracts = Array.from({ length: 150 }, (_, i) => ({ id: `c${i}` }));
+    const offsets = [];
+    
+    api.setTransport(async (url) => {
+        const params = new URL(url).searchParams;
+        const offset = Number(params.get('offset'));
+        const limit = Number(params.get('limit'));
+        offsets.push(offset);
+        
+        const page = contracts.slice(offset, offset + limit);
+        const metricsByContract = {};
+        page.forEach(c => metricsByContract[c.id] = [{ contractId: c.id, totalShares: { YES: 1 } }]);
+        return jsonResponse({ metricsByContract, contracts: page });
+    });
+    
+    const pageSizes = [];
+    const rawData = await api.getUserPositions('fixture-user-id', null, {
+        onPage: page => pageSizes.push(page.contracts.length)
+    });
+    
+    assert.deepStrictEqual(offsets, [0, 100]);
+    assert.deepStrictEqual(pageSizes, [100, 50]);
+    assert.strictEqual(rawData.contracts.length, 150);
+    assert.strictEqual(Object.keys(rawData.metricsByContract).length, 150);
+});
+
+test('HTTP errors are reported', async () => {
+    const api = loadApi();
+    api.setTransport(async () => jsonResponse({}, 404));
+    
+    await assert.rejects(api.getUserId('nobody'), /User "nobody" not found/);
+    await assert.rejects(api.getUserPositions('someone'), /Error fetching positions: 404/);
+});
+
+test('transient failures are retried', async (t) => {
+    await t.test('server errors and network errors', async () => {
+        const api = loadFastApi();
+        const failures = [
+            () => jsonResponse({}, 503),
+            () => { throw new TypeError('fetch failed'); }
+        ];
+        const messages = [];
+        
+        api.setTransport(async () => failures.length > 0 ? failures.shift()() : jsonResponse(loadFixture('user.json')));
+        
+        assert.strictEqual(await api.getUserId('FixtureUser', { onRetry: m => messages.push(m) }), 'fixture-user-id');
+        assert.strictEqual(messages.length, 2);
+        assert.match(messages[0], /Server error 503/);
+        assert.match(messages[1], /Network error/);
+    });
+    
+    await t.test('rate limiting waits as long as Retry-After asks', async () => {
+        const api = loadFastApi();
+        let calls = 0;
+        const messages = [];
+        
+        api.setTransport(async () => ++calls === 1
+            ? jsonResponse({}, 429, { 'Retry-After': '0' })
+            : jsonResponse(loadFixture('user.json')));
+        
+        await api.getUserId('FixtureUser', { onRetry: m => messages.push(m) });
+        assert.strictEqual(calls, 2);
+        assert.match(messages[0], /Rate limited, retrying in 0s/);
+    });
+    
+    await t.test('client errors are not retried', async () => {
+        const api = loadFastApi();
+        let calls = 0;
+        
+        api.setTransport(async () => { calls++; return jsonResponse({}, 400); });
+        
+        await assert.rejects(api.getUserId('FixtureUser'), /Error fetching user "FixtureUser": 400/);
+        assert.strictEqual(calls, 1);
+    });
+    
+    await t.test('gives up after the configured number of retries', async () => {
+        const api = loadFastApi();
+        let calls = 0;
+        
+        api.setRetryPolicy({ retries: 2, baseDelayMs: 1, maxDelayMs: 1 });
+        api.setTransport(async () => { calls++; return jsonResponse({}, 500); });
+        
+        await assert.rejects(api.getUserPositions('someone'), /Error fetching positions: 500/);
+        assert.strictEqual(calls, 3);
+    });
+});
+
+test('aborting cancels the request and any pending retry', async () => {
+    const api = loadApi();
+    const controller = new AbortController();
+    
+    api.setRetryPolicy({ baseDelayMs: 60000, maxDelayMs: 60000 });
+    api.setTransport(async () => {
+        setTimeout(() => controller.abort(), 5);
+        return jsonResponse({}, 503);
+    });
+    
+    await assert.rejects(api.getUserId('FixtureUser', { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('cached responses are reused until they expire', async () => {
+    const clock = { now: Date.UTC(2026, 0, 1) };
+    const api = loadApi(clock);
+    const stored = new Map();
+    let calls = 0;
+    
+    api.setResponseCache({
+        get: async (key) => stored.get(key),
+        set: async (key, entry) => { stored.set(key, entry); }
+    });
+    api.setTransport(async () => { calls++; return jsonResponse(loadFixture('user.json')); });
+    
+    await api.getUserId('FixtureUser', { useCache: true });
+    await api.getUserId('fixtureuser', { useCache: true });
+    assert.strictEqual(calls, 1);
+    
+    // Without useCache the response is fetched again and the cache refreshed
+    await api.getUserId('FixtureUser');
+    assert.strictEqual(calls, 2);
+    
+    clock.now += api.CACHE_TTL_MS + 1;
+    await api.getUserId('FixtureUser', { useCache: true });
+    assert.strictEqual(calls, 3);
+});
+
+test('a broken cache falls back to the network', async () => {
+    const api = loadApi();
+    let calls = 0;
+    
+    api.setResponseCache({
+        get: async () => { throw new Error('IndexedDB unavailable'); },
+        set: async () => { throw new Error('QuotaExceededError'); }
+    });
+    api.setTransport(async () => { calls++; return jsonResponse(loadFixture('user.json')); });
+    
+    assert.strictEqual(await api.getUserId('FixtureUser', { useCache: true }), 'fixture-user-id');
+    assert.strictEqual(calls, 1);
+});
+
+test('batch sells are re-priced after every fill', async (t) => {
+    const markets = {
+        deep: { id: 'deep', mechanism: 'cpmm-1', outcomeType: 'BINARY', p: 0.5, pool: { YES: 200, NO: 200 } },
+        shallow: { id: 'shallow', mechanism: 'cpmm-1', outcomeType: 'BINARY', p: 0.5, pool: { YES: 5, NO: 5 } }
+    };
+    const orders = [
+        { contractId: 'deep', answerId: null, outcome: 'YES', shares: 20 },
+        { contractId: 'deep', answerId: null, outcome: 'YES', shares: 20 },
+        { contractId: 'shallow', answerId: null, outcome: 'YES', shares: 20 },
+        { contractId: 'deep', answerId: null, outcome: 'YES', shares: 20 }
+    ];
+    
+    const setup = () => {
+        const api = loadFastApi();
+        const requests = [];
+        const pools = { deep: { ...markets.deep.pool }, shallow: { ...markets.shallow.pool } };
+        
+        api.setApiKey('secret');
+        api.setTransport(async (url, options) => {
+            const path = new URL(url).pathname;
+            requests.push({ method: options.method || 'GET', path, options });
+            
+            const sell = path.match(/^\/v0\/market\/(\w+)\/sell$/);
+            if (sell) {
+                const body = JSON.parse(options.body);
+                const shares = body.shares === undefined ? 20 : body.shares;
+                pools[sell[1]] = api.getPoolAfterSale(shares, body.outcome, pools[sell[1]], 0.5);
+                return jsonResponse({ contractId: sell[1], shares: -shares });
+            }
+            const id = path.match(/^\/v0\/market\/(\w+)$/)[1];
+            return jsonResponse({ ...markets[id], pool: pools[id] });
+        });
+        return { api, requests };
+    };
+    
+    await t.test('stops before the first sale over the slippage limit', async () => {
+        const { api, requests } = setup();
+        const result = await api.executeSells(orders, { maxSlippage: 0.2 });
+        
+        assert.strictEqual(result.fills.length, 2);
+        assert.ok(result.fills[1].quote.proceeds < result.fills[0].quote.proceeds, 'second fill priced after the first');
+        assert.strictEqual(result.stopped.order, orders[2]);
+        assert.match(result.stopped.reason, /Slippage would be \d+\.\d%/);
+        
+        // Each sale is preceded by a fresh fetch of its market
+        assert.deepStrictEqual(requests.map(r => `${r.method} ${r.path}`), [
+            'GET /v0/market/deep',
+            'POST /v0/market/deep/sell',
+            'GET /v0/market/deep',
+            'POST /v0/market/deep/sell',
+            'GET /v0/market/shallow'
+        ]);
+        
+        const [first, second] = requests.filter(r => r.method === 'POST');
+        assert.strictEqual(first.options.headers.Authorization, 'Key secret');
+        assert.deepStrictEqual(JSON.parse(first.options.body), { outcome: 'YES', shares: 20 });
+        // Always the quoted count, never "sell all", which would also sell a hedge
+        assert.deepStrictEqual(JSON.parse(second.options.body), { outcome: 'YES', shares: 20 });
+    });
+    
+    await t.test('reports a rejected sale and stops', async () => {
+        const { api } = setup();
+        api.setTransport(async (url, options) => options.method === 'POST'
+            ? jsonResponse({ message: 'Insufficient shares' }, 400)
+            : jsonResponse(markets.deep));
+        
+        const result = await api.executeSells(orders);
+        assert.strictEqual(result.fills.length, 0);
+        assert.strictEqual(result.stopped.reason, 'Error selling: Insufficient shares');
+    });
+    
+    await t.test('needs an API key', async () => {
+        const { api } = setup();
+        api.setApiKey(null);
+        await assert.rejects(api.sellShares('deep', { outcome: 'YES' }), /needs an API key/);
+    });
+});
+
+test('full analysis against the local stub server', async (t) => {
+    const server = createStubServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    
+    const fixture = loadFixture('contract-metrics.json');
+    const api = loadApi({ now: fixture.now });
+    api.setApiBaseUrl(`http://127.0.0.1:${server.address().port}/v0`);
+    
+    await t.test('looks up the user', async () => {
+        assert.strictEqual(await api.getUserId('FixtureUser'), 'fixture-user-id');
+        await assert.rejects(api.getUserId('SomeoneElse'), /not found/);
+    });
+    
+    await t.test('looks up markets by slug', async () => {
+        const [contract] = fixture.contracts;
+        assert.strictEqual((await api.getMarketBySlug(contract.slug)).id, contract.id);
+        await assert.rejects(api.getMarketBySlug('no-such-market'), /Market "no-such-market" not found/);
+    });
+    
+    await t.test('fetches and analyzes the recorded positions', async () => {
+        const rawData = await api.getUserPositions('fixture-user-id');
+        const positions = api.processPositions(rawData);
+        
+        assert.strictEqual(rawData.contracts.length, fixture.contracts.length);
+        assert.deepStrictEqual(
+            api.processPositions(fixture).map(p => p.saleValue),
+            positions.map(p => p.saleValue)
+        );
+    });
+});
+
+test('an account that cannot be fetched does not stop the others', async () => {
+    const api = loadFastApi();
+    const positions = loadFixture('contract-metrics.json');
+    
+    api.setTransport(async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname.endsWith('/user/Ghost')) {
+            return jsonResponse({ message: 'User not found' }, 404);
+        }
+        if (pathname.includes('/user/')) {
+            return jsonResponse(loadFixture('user.json'));
+        }
+        return jsonResponse(Number(searchParams.get('offset')) > 0 ? { metricsByContract: {}, contracts: [] } : positions);
+    });
+    
+    const [found, ghost] = await api.getUsersPositions(['FixtureUser', 'Ghost'], null);
+    assert.strictEqual(found.rawData.contracts.length, positions.contracts.length);
+    assert.strictEqual(ghost.username, 'Ghost');
+    assert.match(ghost.error.message, /Ghost/);
+    
+    // On its own, the account's error is the analysis's error
+    await assert.rejects(api.getUsersPositions(['Ghost'], null), /Ghost/);
+});
+
+test('open limit orders are fetched for AMM markets and priced in', async () => {
+    const api = loadApi();
+    const positions = loadFixture('contract-metrics.json');
+    const requested = [];
+    
+    api.setTransport(async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname.endsWith('/user/FixtureUser')) {
+            return jsonResponse(loadFixture('user.json'));
+        }
+        if (pathname.endsWith('/bets')) {
+            requested.push(searchParams.get('contractId'));
+            assert.strictEqual(searchParams.get('kinds'), 'open-limit');
+            return jsonResponse(searchParams.get('contractId') === 'bin-even'
+                ? [
+                    { outcome: 'YES', limitProb: 0.5, orderAmount: 100, amount: 0 },
+                    { outcome: 'YES', limitProb: 0.5, orderAmount: 100, amount: 0, isCancelled: true }
+                ]
+                : []);
+        }
+        return jsonResponse(Number(searchParams.get('offset')) > 0 ? { metricsByContract: {}, contracts: [] } : positions);
+    });
+    
+    const [{ rawData }] = await api.getUsersPositions(['FixtureUser'], null, { limitOrders: true });
+    
+    // Resolved markets and markets without an AMM aren't asked about
+    assert.ok(requested.includes('bin-even'));
+    assert.ok(!requested.includes('resolved') && !requested.includes('legacy') && !requested.includes('linked'));
+    assert.strictEqual(rawData.limitOrdersByContract['bin-even'].length, 1);
+    
+    const withOrders = api.processPositions(rawData).find(p => p.contractId === 'bin-even');
+    const withoutOrders = api.processPositions({ ...rawData, limitOrdersByContract: {} }).find(p => p.contractId === 'bin-even');
+    assert.ok(withoutOrders.orderBookSaleValue < withoutOrders.saleValue);
+    assert.ok(withOrders.orderBookSaleValue > withoutOrders.orderBookSaleValue);
+});
+
+test('a market whose orders or bets cannot be fetched is left blank', async () => {
+    const api = loadFastApi({ now: loadFixture('contract-metrics.json').now });
+    const positions = loadFixture('contract-metrics.json');
+    
+    api.setTransport(async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname.endsWith('/user/FixtureUser')) {
+            return jsonResponse(loadFixture('user.json'));
+        }
+        if (pathname.endsWith('/bets')) {
+            return searchParams.get('contractId') === 'bin-even'
+                ? jsonResponse({ message: 'Internal error' }, 500)
+                : jsonResponse([]);
+        }
+        return jsonResponse(Number(searchParams.get('offset')) > 0 ? { metricsByContract: {}, contracts: [] } : positions);
+    });
+    
+    const [{ rawData }] = await api.getUsersPositions(['FixtureUser'], null, { limitOrders: true, recentBets: true });
+    assert.strictEqual(rawData.limitOrdersByContract['bin-even'], null);
+    assert.strictEqual(rawData.recentBetsByContract['bin-even'], null);
+    assert.deepStrictEqual(Array.from(rawData.limitOrdersByContract['bin-skew']), []);
+    assert.ok(rawData.recentBetsByContract['bin-skew']);
+    
+    const processed = api.processPositions(rawData);
+    const even = processed.find(p => p.contractId === 'bin-even');
+    const skew = processed.find(p => p.contractId === 'bin-skew');
+    assert.strictEqual(even.orderBookSaleValue, null);
+    assert.strictEqual(even.probabilityChange24h, null);
+    assert.ok(skew.orderBookSaleValue > 0);
+    assert.strictEqual(skew.probabilityChange24h, 0);
+});
+
+test('creator track records come from their resolved markets', async () => {
+    const api = loadApi();
+    const DAY = 1000 * 60 * 60 * 24;
+    const market = (lagDays, extra = {}) => ({ isResolved: true, closeTime: 1000 * DAY, resolutionTime: (1000 + lagDays) * DAY, ...extra });
+    const marketsByCreator = {
+        slow: [market(10), market(-5, { resolution: 'CANCEL' }), market(30), market(2), { isResolved: false, closeTime: 2000 * DAY }],
+        new: [market(10), market(10)]
+    };
+    const requested = [];
+    
+    api.setTransport(async (url) => {
+        const userId = new URL(url).searchParams.get('userId');
+        requested.push(userId);
+        return jsonResponse(marketsByCreator[userId]);
+    });
+    
+    const records = await api.getCreatorTrackRecords(['slow', 'new', 'slow', undefined]);
+    
+    // Median lag of 0 (resolved early), 2, 10 and 30 days; too few markets for a new creator
+    assert.deepStrictEqual(Object.keys(records), ['slow']);
+    assert.deepStrictEqual({ ...records.slow }, { resolvedMarkets: 4, naShare: 0.25, lateShare: 0.5, lagDays: 6 });
+    assert.deepStrictEqual(requested.sort(), ['new', 'slow']);
+});
+
+test('a creator whose markets cannot be fetched is left without a record', async () => {
+    const api = loadFastApi();
+    const DAY = 1000 * 60 * 60 * 24;
+    const market = { isResolved: true, closeTime: 1000 * DAY, resolutionTime: 1010 * DAY };
+    
+    api.setTransport(async (url) => new URL(url).searchParams.get('userId') === 'broken'
+        ? jsonResponse({ message: 'Internal error' }, 500)
+        : jsonResponse([market, market, market]));
+    
+    const records = await api.getCreatorTrackRecords(['broken', 'steady']);
+    assert.deepStrictEqual(Object.keys(records), ['steady']);
+    assert.strictEqual(records.steady.lagDays, 10);
+});
+
+test('recent bets are trimmed to the last week', async () => {
+    const DAY = 1000 * 60 * 60 * 24;
+    const now = Date.UTC(2026, 0, 1);
+    const api = loadApi({ now });
+    const bet = (daysAgo, answerId) => ({ createdTime: now - daysAgo * DAY, probBefore: 0.4, probAfter: 0.5, answerId, amount: 10 });
+    
+    api.setTransport(async () => jsonResponse([bet(1), bet(8, 'b'), bet(3), bet(9), bet(10), bet(20, 'b')]));
+    const history = await api.getRecentBets('bin-even');
+    
+    // The latest bet before the week of each answer stays, for where the week started
+    assert.strictEqual(history.since, 0);
+    assert.deepStrictEqual(history.bets.map(b => (now - b.createdTime) / DAY), [1, 3, 8, 9]);
+    assert.strictEqual(history.bets[0].amount, undefined);
+});
@@ -0,0 +1,101 @@
+/**
+ * manifold-analyze against the local stub server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadFixture } = require('./helpers/load-api');
+const { createStubServer } = require('./stub-server');
+const { main, parseOptions } = require('../manifold-analyze');
+const { recordsToCsv } = require('../export');
+
+/**
+ * Writable stand-in for stdout/stderr that keeps what was written
+ */
+function captureStream() {
+    return {
+        text: '',
+        write(chunk) {
+            this.text += chunk;
+        }
+    };
+}
+
+test('options are parsed and checked', () => {
+    assert.deepStrictEqual(parseOptions(['alice', 'bob', '--format', 'csv', '--threshold', '0.11', '--below-only']), {
+        usernames: ['alice', 'bob'],
+        format: 'csv',
+        threshold: 0.11,
+        belowOnly: true,
+        apiUrl: null
+    });
+    assert.throws(() => parseOptions([]), /at least one username/);
+    assert.throws(() => parseOptions(['alice', '--format', 'xml']), /Unknown format/);
+    assert.throws(() => parseOptions(['alice', '--threshold', 'high']), /Invalid threshold/);
+});
+
+test('CSV cells that would run as formulas are defused', () => {
+    const csv = recordsToCsv([
+        { question: '=HYPERLINK("http://example.com")', answer: '@SUM(A1)', saleValue: -2.5 },
+        { question: '+1 or -1?', answer: 'Plain answer', saleValue: 3 }
+    ]);
+    const [, first, second] = csv.trim().split('\r\n');
+    
+    assert.ok(first.includes(`"'=HYPERLINK(""http://example.com"")",'@SUM(A1),,-2.5`));
+    assert.ok(second.includes(`'+1 or -1?,Plain answer,,3`));
+});
+
+test('analysis from the command line', async (t) => {
+    const server = createStubServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    
+    // Returns depend on the time left to close, so run at the fixture's time
+    const fixture = loadFixture('contract-metrics.json');
+    const realNow = Date.now;
+    Date.now = () => fixture.now;
+    t.after(() => {
+        Date.now = realNow;
+    });
+    
+    const apiUrl = `http://127.0.0.1:${server.address().port}/v0`;
+    const run = async (...args) => {
+        const stdout = captureStream();
+        const stderr = captureStream();
+        const code = await main([...args, '--api-url', apiUrl], stdout, stderr);
+        return { code, stdout: stdout.text, stderr: stderr.text };
+    };
+    
+    await t.test('exits 0 when nothing is below the threshold', async () => {
+        const { code, stdout } = await run('FixtureUser', '--threshold', '0');
+        assert.strictEqual(code, 0);
+        assert.match(stdout, /Even binary market\?/);
+        assert.match(stdout, /0 of 9 positions below 0\.00% a year/);
+    });
+    
+    await t.test('exits 1 and lists only those below with --below-only', async () => {
+        const { code, stdout } = await run('FixtureUser', '--threshold', '2', '--below-only', '--format', 'json');
+        const result = JSON.parse(stdout);
+        
+        assert.strictEqual(code, 1);
+        assert.strictEqual(result.hurdleRate, 2);
+        assert.ok(result.belowCount > 0);
+        assert.strictEqual(result.positions.length, result.belowCount);
+        assert.ok(result.positions.every(p => p.returnIfCorrect < 2));
+    });
+    
+    await t.test('writes the same CSV columns as the page export', async () => {
+        const { stdout } = await run('FixtureUser', '--format', 'csv');
+        const [header, ...rows] = stdout.trim().split('\r\n');
+        
+        assert.ok(header.startsWith('runTimestamp,owner,contractId,answerId,question,answer,url,'));
+        assert.strictEqual(rows.length, 9);
+    });
+    
+    await t.test('exits 2 when the analysis fails', async () => {
+        const { code, stdout, stderr } = await run('Nobody');
+        assert.strictEqual(code, 2);
+        assert.strictEqual(stdout, '');
+        assert.match(stderr, /User "Nobody" not found/);
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * Load manifold-api.js into a sandbox for Node tests, as the page would.
+ * Returns the sandbox, so internal functions are reachable as well as
+ * the public `self.ManifoldAPI`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'manifold-api.js'), 'utf8');
+
+/**
+ * options.now: fixed time for Date.now(), so returns don't drift with the clock.
+ * It is read on every call, so tests can move the clock by changing it.
+ */
+function loadApi(options = {}) {
+    const FixedDate = class extends Date {
+        static now() {
+            return options.now !== undefined ? options.now : Date.now();
+        }
+    };
+    
+    const sandbox = {
+        self: {},
+        console,
+        URLSearchParams,
+        fetch: (...args) => fetch(...args),
+        setTimeout,
+        clearTimeout,
+        Date: FixedDate
+    };
+    vm.createContext(sandbox);
+    vm.runInContext(SOURCE, sandbox, { filename: 'manifold-api.js' });
+    
+    return sandbox;
+}
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8'));
+}
+
+module.exports = { loadApi, loadFixture };
@@ -0,0 +1,343 @@
+/**
+ * processPositions against recorded API responses
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApi, loadFixture } = require('./helpers/load-api');
+
+const fixture = loadFixture('contract-metrics.json');
+const { cases } = loadFixture('pricing-cases.json');
+
+function findPosition(positions, contractId, answerId = null) {
+    return positions.find(p => p.contractId === contractId && p.answerId === answerId);
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message}: expected ${expected}, got ${actual}`);
+}
+
+const api = loadApi({ now: fixture.now });
+const positions = api.processPositions(fixture);
+
+test('resolved markets and resolved answers are skipped', () => {
+    assert.strictEqual(findPosition(positions, 'resolved'), undefined);
+    assert.strictEqual(findPosition(positions, 'linked', 'linked-a'), undefined);
+});
+
+test('the multi-choice summary row is not counted as a position', () => {
+    assert.strictEqual(findPosition(positions, 'linked'), undefined);
+    assert.strictEqual(findPosition(positions, 'independent'), undefined);
+    assert.strictEqual(positions.length, 9);
+    assert.deepStrictEqual(Array.from(positions.filter(p => p.pricing === 'none'), p => p.contractId), []);
+});
+
+test('binary positions match Manifold sale values and returns', () => {
+    const even = findPosition(positions, 'bin-even');
+    const known = cases.find(c => c.name === 'even pool, small YES sale');
+    
+    assert.strictEqual(even.outcome, 'YES');
+    assert.strictEqual(even.pricing, 'amm');
+    assertClose(even.saleValue, known.saleValue, 1e-3, 'sale value');
+    assertClose(even.slippage, known.slippage, 1e-4, 'slippage');
+    assertClose(even.returnIfCorrect, known.returnIfCorrect365, 1e-4, 'return if correct');
+    assertClose(even.daysUntilClose, 365, 1e-9, 'days until close');
+});
+
+test('markets with p other than 0.5 are priced with p', () => {
+    const skew = findPosition(positions, 'bin-skew');
+    const known = cases.find(c => c.name === 'p=0.3, NO sale');
+    
+    assert.strictEqual(skew.outcome, 'NO');
+    assertClose(skew.saleValue, known.saleValue, 1e-3, 'sale value');
+});
+
+test('an empty pool side falls back to fair value', () => {
+    const zero = findPosition(positions, 'bin-zero');
+    
+    assert.strictEqual(zero.pricing, 'fair');
+    assertClose(zero.saleValue, 18, 1e-9, 'fair value');
+    assert.strictEqual(zero.slippage, 0);
+});
+
+test('hedged pairs are netted out and the loan is repaid from the sale and the pairs', () => {
+    const hedged = findPosition(positions, 'hedged');
+    const known = cases.find(c => c.name === 'long shot, large NO sale');
+    
+    assert.strictEqual(hedged.outcome, 'NO');
+    assert.strictEqual(hedged.shares, 1000);
+    assert.strictEqual(hedged.hedgedShares, 200);
+    assert.strictEqual(hedged.redemptionValue, 200);
+    assert.ok(hedged.isHedged);
+    assertClose(hedged.saleValue, known.saleValue, 1e-3, 'net exposure sale value');
+    assert.strictEqual(hedged.loan, 100);
+    assertClose(hedged.netProceeds, known.saleValue + 200 - 100, 1e-3, 'net proceeds');
+});
+
+test('a fully hedged position is priced as its pairs, not at fair value', () => {
+    const metrics = fixture.metricsByContract.hedged.map(m => ({ ...m, totalShares: { YES: 500, NO: 500 } }));
+    const hedged = findPosition(api.processPositions({
+        ...fixture,
+        metricsByContract: { ...fixture.metricsByContract, hedged: metrics }
+    }), 'hedged');
+    
+    assert.strictEqual(hedged.pricing, 'hedged');
+    assert.strictEqual(hedged.shares, 0);
+    assert.strictEqual(hedged.redemptionValue, 500);
+    assert.strictEqual(hedged.netProceeds, 500 - 100);
+});
+
+test('a loan covered by the redeemable pairs is not charged against the net shares', () => {
+    const hedged = findPosition(positions, 'hedged-loan');
+    
+    assert.strictEqual(hedged.shares, 10);
+    assert.strictEqual(hedged.hedgedShares, 300);
+    assert.ok(hedged.saleValue < hedged.loan, 'the net shares alone should not cover the loan');
+    assertClose(hedged.netProceeds, hedged.saleValue + 300 - 40, 1e-9, 'net proceeds');
+    assertClose(hedged.returnIfCorrect,
+        api.calculateReturnIfCorrect(hedged.saleValue, 10, hedged.expectedResolutionTime, fixture.now), 1e-12, 'return');
+    assert.ok(hedged.returnIfCorrect > 0);
+});
+
+test('pseudo-numeric markets are priced through the AMM', () => {
+    const pseudo = findPosition(positions, 'pseudo');
+    
+    assert.strictEqual(pseudo.outcomeType, 'PSEUDO_NUMERIC');
+    assert.strictEqual(pseudo.pricing, 'amm');
+    assert.ok(pseudo.saleValue > 0 && pseudo.saleValue < 5);
+});
+
+test('linked answers include the arbitrage across unresolved answers', () => {
+    const linked = findPosition(positions, 'linked', 'linked-b');
+    const ownPoolOnly = api.calculateSaleValue(10, 'YES', { YES: 100, NO: 100 }, 0.5, 'cpmm-multi-1');
+    
+    assert.strictEqual(linked.pricing, 'linked-amm');
+    assert.ok(linked.saleValue > ownPoolOnly, 'arbitrage should add to the proceeds');
+    assert.ok(linked.saleValue <= linked.fairValue, 'sale value above fair value');
+});
+
+test('independent answers are priced on their own pool', () => {
+    const independent = findPosition(positions, 'independent', 'independent-x');
+    const expected = api.calculateSaleValue(40, 'NO', { YES: 300, NO: 700 }, 0.5, 'cpmm-multi-1');
+    
+    assert.strictEqual(independent.pricing, 'amm');
+    assertClose(independent.saleValue, expected, 1e-9, 'sale value');
+});
+
+test('legacy mechanisms are reported at fair value', () => {
+    const legacy = findPosition(positions, 'legacy');
+    
+    assert.strictEqual(legacy.mechanism, 'dpm-2');
+    assert.strictEqual(legacy.pricing, 'fair');
+    assertClose(legacy.saleValue, 15, 1e-9, 'fair value');
+});
+
+test('cost basis and profit come from the contract metrics', () => {
+    const even = findPosition(positions, 'bin-even');
+    assert.strictEqual(even.costBasis, 4);
+    assertClose(even.unrealizedProfit, even.saleValue - 4, 1e-9, 'unrealized profit');
+    assertClose(even.profitPercent, (even.saleValue - 4) / 4, 1e-9, 'profit percent');
+    assert.strictEqual(even.realizedProfit, 2);
+    
+    // Redeemable pairs are part of what the position is worth
+    const hedged = findPosition(positions, 'hedged');
+    assertClose(hedged.unrealizedProfit, hedged.saleValue + 200 - 950, 1e-9, 'hedged unrealized profit');
+    assert.strictEqual(hedged.realizedProfit, 0);
+    
+    const skew = findPosition(positions, 'bin-skew');
+    assert.strictEqual(skew.costBasis, null);
+    assert.strictEqual(skew.unrealizedProfit, null);
+    assert.strictEqual(skew.profitPercent, null);
+    assert.strictEqual(skew.realizedProfit, null);
+});
+
+test('market-wide costs are not attributed to one of several legacy answers', () => {
+    const [first, second] = api.expandAnswerShares([
+        { contractId: 'dpm', totalShares: { a: 10, b: 5 }, invested: 8, payout: 9, profit: 1 }
+    ]);
+    assert.strictEqual(first.invested, undefined);
+    assert.strictEqual(second.profit, undefined);
+    
+    const [only] = api.expandAnswerShares([{ contractId: 'dpm', totalShares: { a: 10 }, invested: 8 }]);
+    assert.strictEqual(only.invested, 8);
+});
+
+test('positions carry their market\'s topics', () => {
+    assert.deepStrictEqual(Array.from(findPosition(positions, 'bin-even').groupSlugs), ['politics', 'us-elections']);
+    assert.deepStrictEqual(Array.from(findPosition(positions, 'linked', 'linked-b').groupSlugs), ['politics']);
+    assert.deepStrictEqual(Array.from(findPosition(positions, 'bin-skew').groupSlugs), []);
+});
+
+test('sorting puts below-margin positions first, worst first', () => {
+    const sorted = api.getAllPositionsSorted(positions);
+    const rate = api.getHurdleRate();
+    const withReturns = sorted.filter(p => p.returnIfCorrect !== null);
+    const firstAbove = withReturns.findIndex(p => p.returnIfCorrect >= rate);
+    
+    assert.strictEqual(sorted.length, positions.length);
+    withReturns.slice(0, firstAbove === -1 ? undefined : firstAbove).forEach((p, i, below) => {
+        assert.ok(p.returnIfCorrect < rate);
+        if (i > 0) assert.ok(p.returnIfCorrect >= below[i - 1].returnIfCorrect);
+    });
+});
+
+test('returns are annualized to the expected resolution date', async (t) => {
+    const DAY = 1000 * 60 * 60 * 24;
+    const withCreator = {
+        ...fixture,
+        contracts: fixture.contracts.map(c => c.id === 'bin-even' ? { ...c, creatorId: 'slow-creator' } : c)
+    };
+    
+    await t.test('is the close date by default', () => {
+        const even = findPosition(positions, 'bin-even');
+        assert.strictEqual(even.resolutionSource, 'close');
+        assertClose(even.daysUntilResolution, 365, 1e-9, 'days until resolution');
+        
+    });
+    
+    await t.test('adds the creator\'s usual lag after close', () => {
+        const lagged = loadApi({ now: fixture.now });
+        lagged.setResolutionModel({ creatorLagDays: { 'slow-creator': 365 } });
+        const even = findPosition(lagged.processPositions(withCreator), 'bin-even');
+        
+        assert.strictEqual(even.resolutionSource, 'creator');
+        assert.strictEqual(even.resolutionLagDays, 365);
+        assertClose(even.daysUntilResolution, 730, 1e-9, 'days until resolution');
+        assertClose(even.returnIfCorrect, findPosition(positions, 'bin-even').returnIfCorrect / 2, 1e-9, 'return if correct');
+        assertClose(even.daysUntilClose, 365, 1e-9, 'days until close');
+    });
+    
+    await t.test('a date set by the user wins', () => {
+        const overridden = loadApi({ now: fixture.now });
+        overridden.setResolutionModel({
+            creatorLagDays: { 'slow-creator': 365 },
+            overrides: { 'bin-even': fixture.now + 30 * DAY }
+        });
+        const even = findPosition(overridden.processPositions(withCreator), 'bin-even');
+        
+        assert.strictEqual(even.resolutionSource, 'override');
+        assertClose(even.daysUntilResolution, 30, 1e-9, 'days until resolution');
+    });
+    
+    await t.test('markets without a close date use the default horizon', () => {
+        const openEnded = loadApi({ now: fixture.now });
+        openEnded.setResolutionModel({ defaultHorizonDays: 90 });
+        const even = findPosition(openEnded.processPositions({
+            ...fixture,
+            contracts: fixture.contracts.map(c => c.id === 'bin-even' ? { ...c, closeTime: undefined } : c)
+        }), 'bin-even');
+        
+        assert.strictEqual(even.resolutionSource, 'default');
+        assert.strictEqual(even.daysUntilClose, null);
+        assertClose(even.daysUntilResolution, 90, 1e-9, 'days until resolution');
+        assert.ok(even.returnIfCorrect > 0);
+    });
+    
+    await t.test('closed markets awaiting resolution are projected from now', () => {
+        const closed = {
+            ...withCreator,
+            contracts: withCreator.contracts.map(c => c.id === 'bin-even' ? { ...c, closeTime: fixture.now - 10 * DAY } : c)
+        };
+        
+        const api = loadApi({ now: fixture.now });
+        api.setResolutionModel({ defaultHorizonDays: 90, useCreatorLag: false });
+        const even = findPosition(api.processPositions(closed), 'bin-even');
+        assert.strictEqual(even.resolutionSource, 'overdue');
+        assertClose(even.daysUntilResolution, 90, 1e-9, 'days until resolution');
+        assert.ok(even.returnIfCorrect > 0);
+        
+        // The creator's lag, from now rather than from the past close date
+        api.setResolutionModel({ defaultHorizonDays: 90, useCreatorLag: true, creatorLagDays: { 'slow-creator': 7 } });
+        const lagged = findPosition(api.processPositions(closed), 'bin-even');
+        assert.strictEqual(lagged.resolutionSource, 'overdue');
+        assert.strictEqual(lagged.resolutionLagDays, 7);
+        assertClose(lagged.daysUntilResolution, 7, 1e-9, 'days until resolution');
+        assert.ok(lagged.returnIfCorrect > even.returnIfCorrect);
+    });
+});
+
+test('risk signals', async (t) => {
+    const DAY = 1000 * 60 * 60 * 24;
+    const withSignals = (extra) => {
+        const rawData = {
+            ...fixture,
+            contracts: fixture.contracts.map(c => c.id === 'bin-even' ? { ...c, creatorId: 'flaky' } : c),
+            ...extra
+        };
+        return findPosition(api.processPositions(rawData), 'bin-even');
+    };
+    const bet = (daysAgo, probBefore, probAfter) => ({ createdTime: fixture.now - daysAgo * DAY, probBefore, probAfter });
+    
+    await t.test('liquidity is the depth of the pool', () => {
+        assertClose(findPosition(positions, 'bin-even').liquidity, 100, 1e-9, 'even pool');
+        assertClose(findPosition(positions, 'bin-skew').liquidity, Math.pow(300, 0.3) * Math.pow(200, 0.7), 1e-9, 'skewed pool');
+        assert.strictEqual(findPosition(positions, 'legacy').liquidity, null);
+    });
+    
+    await t.test('probability moves come from the bet history', () => {
+        const even = withSignals({
+            recentBetsByContract: {
+                'bin-even': { since: 0, bets: [bet(0.1, 0.47, 0.5), bet(3, 0.3, 0.47), bet(10, 0.2, 0.3)] }
+            }
+        });
+        
+        assertClose(even.probabilityChange24h, 0.03, 1e-9, '24h change');
+        assertClose(even.probabilityChange7d, 0.2, 1e-9, '7d change');
+        assert.deepStrictEqual(Array.from(even.riskFlags), ['thin', 'volatile']);
+        assert.strictEqual(even.riskLevel, 'high');
+    });
+    
+    await t.test('bets on other answers move a linked answer', () => {
+        const answerBet = (daysAgo, answerId, probBefore, probAfter, betGroupId) =>
+            ({ ...bet(daysAgo, probBefore, probAfter), answerId, betGroupId });
+        const linkedB = (bets) => findPosition(api.processPositions({
+            ...fixture,
+            recentBetsByContract: { linked: { since: 0, bets } }
+        }), 'linked', 'linked-b');
+        
+        // C rose from 0.3 to 0.5 two days ago, taking B from 0.7 down to 0.5
+        const scaled = linkedB([answerBet(2, 'linked-c', 0.3, 0.5)]);
+        assertClose(scaled.probabilityChange24h, 0, 1e-9, '24h change');
+        assertClose(scaled.probabilityChange7d, -0.2, 1e-9, '7d change');
+        assert.ok(scaled.riskFlags.includes('volatile'));
+        
+        // Manifold's fill on B in the same bet group is used as it is
+        const filled = linkedB([answerBet(2, 'linked-c', 0.3, 0.5, 'g1'), answerBet(2, 'linked-b', 0.65, 0.5, 'g1')]);
+        assertClose(filled.probabilityChange7d, -0.15, 1e-9, '7d change');
+        
+        // An independent answer only moves with its own bets
+        const independent = findPosition(api.processPositions({
+            ...fixture,
+            recentBetsByContract: { independent: { since: 0, bets: [answerBet(2, 'other', 0.3, 0.5)] } }
+        }), 'independent', 'independent-x');
+        assert.strictEqual(independent.probabilityChange7d, 0);
+    });
+    
+    await t.test('moves are unknown past the fetched history', () => {
+        const even = withSignals({
+            recentBetsByContract: { 'bin-even': { since: fixture.now - 2 * DAY, bets: [bet(2, 0.5, 0.5)] } }
+        });
+        
+        assert.strictEqual(even.probabilityChange24h, 0);
+        assert.strictEqual(even.probabilityChange7d, null);
+    });
+    
+    await t.test('creators who often resolve N/A are flagged', () => {
+        const even = withSignals({ creatorRecords: { flaky: { resolvedMarkets: 10, naShare: 0.2, lateShare: 0, lagDays: 0 } } });
+        
+        assert.strictEqual(even.creatorNaShare, 0.2);
+        assert.deepStrictEqual(Array.from(even.riskFlags), ['thin', 'unreliable-creator']);
+        assert.strictEqual(even.creatorResolvedMarkets, 10);
+    });
+    
+    await t.test('the level counts the flags', () => {
+        assert.strictEqual(api.assessRisk({ liquidity: null, probabilityChange24h: null }).riskLevel, null);
+        assert.strictEqual(api.assessRisk({ liquidity: 5000 }).riskLevel, 'low');
+        assert.strictEqual(api.assessRisk({ liquidity: 10 }).riskLevel, 'medium');
+        
+        // A late-resolution share alone is enough to rate the position
+        assert.strictEqual(api.assessRisk({ liquidity: null, creatorLateShare: 0 }).riskLevel, 'low');
+        assert.strictEqual(api.assessRisk({ liquidity: null, creatorLateShare: 0.5 }).riskLevel, 'medium');
+    });
+});
@@ -0,0 +1,316 @@
+/**
+ * CPMM pricing math against known Manifold results
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApi, loadFixture } = require('./helpers/load-api');
+
+const DAY = 1000 * 60 * 60 * 24;
+const NOW = Date.UTC(2026, 0, 1);
+
+const { cases } = loadFixture('pricing-cases.json');
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message}: expected ${expected}, got ${actual}`);
+}
+
+test('sale values match Manifold', async (t) => {
+    const api = loadApi({ now: NOW });
+    
+    for (const c of cases) {
+        await t.test(c.name, () => {
+            const saleValue = api.calculateSaleValue(c.shares, c.outcome, c.pool, c.p, 'cpmm-1');
+            assertClose(saleValue, c.saleValue, 1e-3, 'sale value');
+            
+            const probability = api.getCpmmProbability(c.pool, c.p);
+            assertClose(probability, c.probability, 1e-9, 'probability');
+            
+            const fairValue = api.calculateSimpleSaleValue(c.shares, probability, c.outcome);
+            assertClose((fairValue - saleValue) / fairValue, c.slippage, 1e-4, 'slippage');
+            
+            const returnIfCorrect = api.calculateReturnIfCorrect(saleValue, c.shares, NOW + 365 * DAY, NOW);
+            assertClose(returnIfCorrect, c.returnIfCorrect365, 1e-4, 'return if correct');
+        });
+    }
+});
+
+test('buying the computed amount yields the requested shares', () => {
+    const api = loadApi();
+    
+    for (const p of [0.2, 0.5, 0.8]) {
+        for (const outcome of ['YES', 'NO']) {
+            const pool = { YES: 300, NO: 200 };
+            const amount = api.calculateAmountToBuyShares(pool, p, 75, outcome);
+            assertClose(api.calculateCpmmShares(pool, p, amount, outcome), 75, 1e-3, `p=${p} ${outcome}`);
+        }
+    }
+});
+
+test('the cheapest possible buy is priced with p', () => {
+    const api = loadApi();
+    const pool = { YES: 300, NO: 200 };
+    const p = 0.2;
+    
+    // Ignoring p, the YES price would look like NO / (YES + NO) = 0.4, more than
+    // this buy actually costs per share
+    const amount = api.calculateAmountToBuyShares(pool, p, 1, 'YES');
+    assert.ok(amount < 0.4, `cost ${amount} is above the p-blind price`);
+    assert.ok(amount >= api.getCpmmProbability(pool, p), 'cost below the current price');
+});
+
+test('a market without a reported probability falls back to the p-aware pool probability', () => {
+    const api = loadApi({ now: NOW });
+    const fixture = loadFixture('contract-metrics.json');
+    const contracts = fixture.contracts.map(c => c.id === 'bin-skew' ? { ...c, prob: undefined } : c);
+    const skew = api.processPositions({ ...fixture, contracts }).find(p => p.contractId === 'bin-skew');
+    const contract = fixture.contracts.find(c => c.id === 'bin-skew');
+    
+    assertClose(skew.probability, api.getCpmmProbability(contract.pool, contract.p), 1e-12, 'probability');
+    assert.ok(Math.abs(skew.probability - contract.pool.NO / (contract.pool.YES + contract.pool.NO)) > 0.1);
+});
+
+test('zero and empty pools have no AMM sale value', () => {
+    const api = loadApi();
+    
+    assert.strictEqual(api.calculateSaleValue(10, 'YES', { YES: 0, NO: 100 }, 0.5, 'cpmm-1'), 0);
+    assert.strictEqual(api.calculateSaleValue(10, 'NO', { YES: 100, NO: 0 }, 0.5, 'cpmm-1'), 0);
+    assert.strictEqual(api.calculateSaleValue(10, 'YES', {}, 0.5, 'cpmm-1'), 0);
+    assert.strictEqual(api.getCpmmProbability({ YES: 0, NO: 100 }, 0.5), null);
+    assert.strictEqual(api.calculateCpmmShares({ YES: 100, NO: 100 }, 0.5, 0, 'YES'), 0);
+});
+
+test('non-CPMM mechanisms are not priced through the AMM', () => {
+    const api = loadApi();
+    
+    assert.strictEqual(api.calculateSaleValue(10, 'YES', { YES: 100, NO: 100 }, 0.5, 'dpm-2'), 0);
+});
+
+test('sale value grows with shares but never exceeds fair value', () => {
+    const api = loadApi();
+    const pool = { YES: 300, NO: 200 };
+    
+    for (const p of [0.3, 0.5, 0.7]) {
+        const probability = api.getCpmmProbability(pool, p);
+        let previous = 0;
+        
+        for (const shares of [1, 10, 50, 200, 1000]) {
+            const saleValue = api.calculateSaleValue(shares, 'YES', pool, p, 'cpmm-1');
+            assert.ok(saleValue > previous, `p=${p}: sale value should grow with shares`);
+            assert.ok(saleValue <= shares * probability + 1e-6, `p=${p}: sale value above fair value`);
+            previous = saleValue;
+        }
+    }
+});
+
+test('return if correct', async (t) => {
+    const api = loadApi({ now: NOW });
+    
+    await t.test('is null without a future close date or a sale value', () => {
+        assert.strictEqual(api.calculateReturnIfCorrect(50, 100, null, NOW), null);
+        assert.strictEqual(api.calculateReturnIfCorrect(50, 100, NOW - DAY, NOW), null);
+        assert.strictEqual(api.calculateReturnIfCorrect(0, 100, NOW + DAY, NOW), null);
+    });
+    
+    await t.test('annualizes simply by default', () => {
+        assertClose(api.calculateReturnIfCorrect(50, 100, NOW + 365 * DAY, NOW), 1, 1e-12, 'one year');
+        assertClose(api.calculateReturnIfCorrect(50, 100, NOW + 730 * DAY, NOW), 0.5, 1e-12, 'two years');
+    });
+    
+    await t.test('treats markets closing within a day as one day away', () => {
+        assertClose(api.calculateReturnIfCorrect(99, 100, NOW + DAY / 2, NOW), 365 / 99, 1e-9, 'half a day');
+    });
+    
+    await t.test('is computed on equity when there is a loan', () => {
+        assertClose(api.calculateReturnIfCorrect(50, 100, NOW + 365 * DAY, NOW, 25), 2, 1e-12, 'with loan');
+        assert.strictEqual(api.calculateReturnIfCorrect(50, 100, NOW + 365 * DAY, NOW, 50), null);
+    });
+    
+    await t.test('compounds when the hurdle model compounds', () => {
+        api.setHurdleModel({ annualization: 'compound' });
+        assertClose(api.calculateReturnIfCorrect(50, 100, NOW + 730 * DAY, NOW), Math.SQRT2 - 1, 1e-12, 'two years');
+        api.setHurdleModel({});
+    });
+    
+    await t.test('does not compound against an ROI hurdle', () => {
+        api.setHurdleModel({ source: 'roi', roiAnnual: 0.2, annualization: 'compound' });
+        assertClose(api.calculateReturnIfCorrect(50, 100, NOW + 730 * DAY, NOW), 0.5, 1e-12, 'two years');
+        api.setHurdleModel({});
+    });
+    
+    await t.test('annualizes simply where compounding would overflow', () => {
+        api.setHurdleModel({ annualization: 'compound' });
+        assertClose(api.annualizeReturn(0.5, 0.01), 0.5 * 36500, 1e-6, 'under a day');
+        assert.ok(isFinite(api.annualizeReturn(1e6, 1)), 'huge return over a day');
+        api.setHurdleModel({});
+    });
+});
+
+test('sell curve', async (t) => {
+    const api = loadApi({ now: NOW });
+    const fixture = loadFixture('contract-metrics.json');
+    const contract = id => fixture.contracts.find(c => c.id === id);
+    
+    await t.test('matches the sale value at each size', () => {
+        const known = cases.find(c => c.name === 'even pool, small YES sale');
+        const curve = api.calculateSellCurve(contract('bin-even'), null, 'YES', [0, known.shares]);
+        const [start, sold] = curve.points;
+        
+        assert.strictEqual(start.proceeds, 0);
+        assertClose(start.averagePrice, curve.probability, 1e-12, 'price before selling');
+        assertClose(sold.proceeds, known.saleValue, 1e-3, 'proceeds');
+        assertClose(sold.averagePrice, known.saleValue / known.shares, 1e-4, 'average price');
+        assertClose(sold.slippage, known.slippage, 1e-4, 'slippage');
+        assert.ok(sold.probability < curve.probability, 'selling YES should lower the probability');
+    });
+    
+    await t.test('average price falls as more is sold', () => {
+        const curve = api.calculateSellCurve(contract('bin-skew'), null, 'NO', [10, 20, 40]);
+        const prices = curve.points.map(point => point.averagePrice);
+        
+        assert.strictEqual(curve.p, 0.3);
+        assert.ok(prices[0] > prices[1] && prices[1] > prices[2]);
+    });
+    
+    await t.test('linked answers include the arbitrage', () => {
+        const curve = api.calculateSellCurve(contract('linked'), 'linked-b', 'YES', [10]);
+        
+        assert.strictEqual(curve.pricing, 'linked-amm');
+        assertClose(curve.points[0].proceeds,
+            api.calculateLinkedSaleValue(10, 'YES', 'linked-b', contract('linked').answers), 1e-9, 'proceeds');
+    });
+    
+    await t.test('is not available without an AMM', () => {
+        assert.strictEqual(api.calculateSellCurve(contract('legacy'), null, 'YES', [10]), null);
+        assert.strictEqual(api.calculateSellCurve(contract('bin-zero'), null, 'YES', [10]), null);
+    });
+});
+
+test('simulated trades carry their pool impact forward', async (t) => {
+    const api = loadApi({ now: NOW });
+    const fixture = loadFixture('contract-metrics.json');
+    const contract = id => fixture.contracts.find(c => c.id === id);
+    
+    await t.test('two sales in one pool are worth the same as one combined sale', () => {
+        const even = contract('bin-even');
+        const [first, second] = api.simulateTrades([
+            { type: 'sell', contract: even, answerId: null, outcome: 'YES', shares: 10 },
+            { type: 'sell', contract: even, answerId: null, outcome: 'YES', shares: 10 }
+        ]);
+        
+        assert.ok(second.proceeds < first.proceeds, 'the second sale should get a worse price');
+        assertClose(first.proceeds + second.proceeds,
+            api.calculateSaleValue(20, 'YES', even.pool, even.p || 0.5, 'cpmm-1'), 1e-3, 'combined proceeds');
+    });
+    
+    await t.test('buys are priced with the CPMM share formula', () => {
+        const skew = contract('bin-skew');
+        const [buy] = api.simulateTrades([
+            { type: 'buy', contract: skew, answerId: null, outcome: 'YES', amount: 25 }
+        ]);
+        
+        assertClose(buy.shares, api.calculateCpmmShares(skew.pool, skew.p, 25, 'YES'), 1e-12, 'shares');
+        assert.ok(buy.probabilityAfter > api.getCpmmProbability(skew.pool, skew.p));
+    });
+    
+    await t.test('does not modify the contracts', () => {
+        const even = contract('bin-even');
+        const before = JSON.stringify(even);
+        api.simulateTrades([{ type: 'buy', contract: even, answerId: null, outcome: 'NO', amount: 50 }]);
+        
+        assert.strictEqual(JSON.stringify(even), before);
+    });
+    
+    await t.test('linked buys include the arbitrage across answers', () => {
+        const linked = contract('linked');
+        const probabilitySum = (answers) => answers
+            .filter(a => !a.resolution)
+            .reduce((sum, a) => sum + api.getCpmmProbability({ YES: a.poolYes, NO: a.poolNo }, 0.5), 0);
+        
+        for (const outcome of ['YES', 'NO']) {
+            const [buy] = api.simulateTrades([
+                { type: 'buy', contract: linked, answerId: 'linked-b', outcome, amount: 20 }
+            ]);
+            const purchase = api.simulateLinkedBuy(20, outcome, 'linked-b', linked.answers);
+            const answersAfter = linked.answers.map(a => purchase.pools[a.id]
+                ? { ...a, poolYes: purchase.pools[a.id].YES, poolNo: purchase.pools[a.id].NO }
+                : a);
+            
+            assertClose(buy.shares, purchase.shares, 1e-12, `${outcome} shares`);
+            assert.notStrictEqual(buy.shares, api.calculateCpmmShares({ YES: 100, NO: 100 }, 0.5, 20, outcome),
+                'priced beyond the answer\'s own pool');
+            assertClose(probabilitySum(answersAfter), 1, 1e-4, `${outcome} probabilities sum to one`);
+            
+            // Selling the shares straight back recovers what was spent
+            assertClose(api.simulateLinkedSale(buy.shares, outcome, 'linked-b', answersAfter).saleValue, 20, 1e-2,
+                `${outcome} round trip`);
+        }
+    });
+    
+    await t.test('markets without an AMM are not priced', () => {
+        const [trade] = api.simulateTrades([
+            { type: 'sell', contract: contract('legacy'), answerId: null, outcome: 'YES', shares: 10 }
+        ]);
+        
+        assert.strictEqual(trade.priced, false);
+    });
+});
+
+test('order book sale', async (t) => {
+    const api = loadApi({ now: NOW });
+    const pool = { YES: 100, NO: 100 };
+    const bid = (limitProb, orderAmount, extra = {}) => ({ outcome: 'YES', limitProb, orderAmount, amount: 0, ...extra });
+    
+    await t.test('without orders or fees is the AMM sale value', () => {
+        assertClose(api.simulateOrderBookSale(10, 'YES', pool, 0.5, [], 0).saleValue,
+            api.calculateSaleValue(10, 'YES', pool, 0.5, 'cpmm-1'), 1e-3, 'sale value');
+    });
+    
+    await t.test('fees come off the AMM sale value', () => {
+        const sale = api.simulateOrderBookSale(10, 'YES', pool, 0.5);
+        assert.ok(sale.fees > 0);
+        assertClose(sale.saleValue + sale.fees, api.calculateSaleValue(10, 'YES', pool, 0.5, 'cpmm-1'), 1e-3, 'sale value');
+    });
+    
+    await t.test('buying to a probability stops at it', () => {
+        for (const [outcome, target] of [['YES', 0.7], ['NO', 0.2]]) {
+            const { amount, shares } = api.getCpmmBuyToProbability({ YES: 300, NO: 200 }, 0.3, outcome, target);
+            const after = api.getPoolAfterBuy({ YES: 300, NO: 200 }, amount, shares, outcome);
+            assertClose(api.getCpmmProbability(after, 0.3), target, 1e-9, outcome);
+        }
+    });
+    
+    await t.test('a bid at the market price fills the whole sale at its limit', () => {
+        const sale = api.simulateOrderBookSale(10, 'YES', pool, 0.5, [bid(0.5, 100)], 0);
+        assertClose(sale.saleValue, 5, 1e-9, 'sale value');
+        assert.strictEqual(sale.orderShares, 10);
+    });
+    
+    await t.test('bids below the price fill once the AMM reaches them', () => {
+        const ammOnly = api.calculateSaleValue(20, 'YES', pool, 0.5, 'cpmm-1');
+        const sale = api.simulateOrderBookSale(20, 'YES', pool, 0.5, [bid(0.48, 3)], 0);
+        
+        assertClose(sale.orderShares, 3 / 0.48, 1e-9, 'order shares');
+        assert.ok(sale.saleValue > ammOnly);
+    });
+    
+    await t.test('filled, cancelled, expired and opposite orders are skipped', () => {
+        const orders = [
+            bid(0.5, 100, { isFilled: true }),
+            bid(0.5, 100, { isCancelled: true }),
+            bid(0.5, 100, { expiresAt: NOW - 1 }),
+            bid(0.5, 100, { amount: 100 }),
+            { outcome: 'NO', limitProb: 0.5, orderAmount: 100, amount: 0 }
+        ];
+        const sale = api.simulateOrderBookSale(10, 'YES', pool, 0.5, orders, 0);
+        
+        assert.strictEqual(sale.orderShares, 0);
+        assertClose(sale.saleValue, api.calculateSaleValue(10, 'YES', pool, 0.5, 'cpmm-1'), 1e-3, 'sale value');
+    });
+    
+    await t.test('selling NO fills the NO bids', () => {
+        const orders = [{ outcome: 'NO', limitProb: 0.5, orderAmount: 100, amount: 0 }];
+        assertClose(api.simulateOrderBookSale(10, 'NO', pool, 0.5, orders, 0).saleValue, 5, 1e-9, 'sale value');
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Local stub of the Manifold API serving recorded fixture responses.
+ *
+ *   node test/stub-server.js [port]
+ *
+ * then point the API layer at it with
+ *   ManifoldAPI.setApiBaseUrl('http://localhost:8787/v0')
+ * and alert webhooks at http://localhost:8787/webhook
+ */
+
+const http = require('http');
+const { loadFixture } = require('./helpers/load-api');
+
+/**
+ * Create (but don't start) a stub server. Contract metrics are paged with
+ * `limit`/`offset` like the real endpoint. Alert webhooks POSTed to /webhook
+ * are kept in `server.webhookPayloads`.
+ */
+function createStubServer(fixtures = {}) {
+    const user = fixtures.user || loadFixture('user.json');
+    const positions = fixtures.positions || loadFixture('contract-metrics.json');
+    const webhookPayloads = [];
+    
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const send = (status, body) => {
+            response.writeHead(status, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            });
+            response.end(JSON.stringify(body));
+        };
+        
+        if (url.pathname === '/webhook') {
+            // Let the page POST JSON across origins
+            if (request.method === 'OPTIONS') {
+                response.writeHead(204, {
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Methods': 'POST',
+                    'Access-Control-Allow-Headers': 'Content-Type'
+                });
+                return response.end();
+            }
+            
+            let body = '';
+            request.on('data', chunk => body += chunk);
+            request.on('end', () => {
+                webhookPayloads.push(JSON.parse(body));
+                send(200, { received: true });
+            });
+            return;
+        }
+        
+        const userMatch = url.pathname.match(/^\/v0\/user\/([^/]+)$/);
+        if (userMatch) {
+            if (decodeURIComponent(userMatch[1]).toLowerCase() !== user.username.toLowerCase()) {
+                return send(404, { message: 'User not found' });
+            }
+            return send(200, user);
+        }
+        
+        if (url.pathname === '/v0/get-user-contract-metrics-with-contracts') {
+            if (url.searchParams.get('userId') !== user.id) {
+                return send(200, { metricsByContract: {}, contracts: [] });
+            }
+            
+            const limit = Number(url.searchParams.get('limit')) || 100;
+            const offset = Number(url.searchParams.get('offset')) || 0;
+            const contracts = positions.contracts.slice(offset, offset + limit);
+            const metricsByContract = {};
+            contracts.forEach(c => {
+                if (positions.metricsByContract[c.id]) {
+                    metricsByContract[c.id] = positions.metricsByContract[c.id];
+                }
+            });
+            return send(200, { metricsByContract, contracts });
+        }
+        
+        const slugMatch = url.pathname.match(/^\/v0\/slug\/([^/]+)$/);
+        if (slugMatch) {
+            const contract = positions.contracts.find(c => c.slug === decodeURIComponent(slugMatch[1]));
+            return contract ? send(200, contract) : send(404, { message: 'Contract not found' });
+        }
+        
+        send(404, { message: 'Not found' });
+    });
+    
+    server.webhookPayloads = webhookPayloads;
+    return server;
+}
+
+module.exports = { createStubServer };
+
+// The test runner also picks this file up; only listen when started by hand
+if (require.main === module && !process.env.NODE_TEST_CONTEXT) {
+    const port = Number(process.argv[2]) || 8787;
+    createStubServer().listen(port, () => {
+        console.log(`Manifold API stub listening on http://localhost:${port}/v0`);
+    });
+}
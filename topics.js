@@ -0,0 +1,174 @@
+/**
+ * Portfolio broken down by market topic (Manifold group). Built from the
+ * rows the table shows, so the filters and hidden rows apply to it too.
+ */
+
+// The breakdown as last rendered, and the topic whose rows are listed under it
+let topicBreakdown = [];
+let expandedTopic;
+
+/**
+ * Sale value, payout, count, capital-weighted return and below-margin share
+ * per topic, largest first. A position in several topics counts in each;
+ * positions without one are grouped under a null topic, listed last.
+ */
+function getTopicBreakdown(positions, hurdleRate) {
+    const groups = new Map();
+    
+    positions.forEach(p => {
+        const topics = p.groupSlugs && p.groupSlugs.length > 0 ? p.groupSlugs : [null];
+        topics.forEach(topic => {
+            if (!groups.has(topic)) {
+                groups.set(topic, []);
+            }
+            groups.get(topic).push(p);
+        });
+    });
+    
+    const breakdown = [...groups].map(([topic, topicPositions]) => {
+        const saleValue = topicPositions.reduce((sum, p) => sum + p.saleValue, 0);
+        const belowMarginValue = topicPositions
+            .filter(p => p.returnIfCorrect !== null && p.returnIfCorrect < hurdleRate)
+            .reduce((sum, p) => sum + p.saleValue, 0);
+        
+        return {
+            topic,
+            count: topicPositions.length,
+            saleValue,
+            payout: topicPositions.reduce((sum, p) => sum + p.shares, 0),
+            weightedReturn: getBlendedReturn(topicPositions.map(p => ({
+                equity: getPositionEquity(p),
+                returnIfCorrect: p.returnIfCorrect
+            }))),
+            belowMarginShare: saleValue > 0 ? belowMarginValue / saleValue : null,
+            positions: topicPositions
+        };
+    });
+    
+    return breakdown.sort((a, b) => (a.topic === null) - (b.topic === null) || b.saleValue - a.saleValue);
+}
+
+function formatTopic(topic) {
+    return topic === null ? 'No topic' : topic;
+}
+
+/**
+ * Render the breakdown if it is open
+ */
+function renderTopics() {
+    const section = document.getElementById('topics');
+    if (!section.open) return;
+    
+    const breakdown = getTopicBreakdown(getExportPositions(), ManifoldAPI.getHurdleRate());
+    const body = document.getElementById('topics-body');
+    topicBreakdown = breakdown;
+    
+    if (breakdown.length === 0) {
+        body.innerHTML = '<p class="compare-empty">No positions.</p>';
+        return;
+    }
+    
+    const mana = value => `M$${Math.round(value).toLocaleString()}`;
+    
+    body.innerHTML = `
+        <table class="subtotals-table topics-table">
+            <thead>
+                <tr>
+                    <th>Topic</th>
+                    <th class="right">Positions</th>
+                    <th class="right">Sale Value</th>
+                    <th class="right">Payout</th>
+                    <th class="right">Weighted Return</th>
+                    <th class="right">Below Margin</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${breakdown.map((t, index) => `
+                    <tr class="topic-row ${t.topic === expandedTopic ? 'topic-expanded' : ''}" data-index="${index}" onclick="toggleTopic(this)">
+                        <td>${escapeHtml(formatTopic(t.topic))}</td>
+                        <td class="right">${t.count}</td>
+                        <td class="right">${mana(t.saleValue)}</td>
+                        <td class="right">${mana(t.payout)}</td>
+                        <td class="right ${getReturnClass(t.weightedReturn)}">${formatPercent(t.weightedReturn)}</td>
+                        <td class="right">${formatPercent(t.belowMarginShare)}</td>
+                    </tr>
+                    ${t.topic === expandedTopic ? renderTopicRows(t) : ''}
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * The positions under an expanded topic; each opens the detail panel
+ */
+function renderTopicRows(topic) {
+    return `
+        <tr class="topic-positions">
+            <td colspan="6">
+                <ul>
+                    ${topic.positions.map((p, index) => `
+                        <li>
+                            <button type="button" class="link-btn" onclick="openTopicPosition(${index})">${escapeHtml(p.question)}</button>
+                            ${p.answer ? `<span class="answer-text">↳ ${escapeHtml(p.answer)}</span>` : ''}
+                            ${p.shares.toFixed(1)} ${formatOutcome(p)}, M$${p.saleValue.toFixed(2)},
+                            <span class="${getReturnClass(p.returnIfCorrect)}">${formatPercent(p.returnIfCorrect)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                ${topic.topic !== null
+                    ? `<button type="button" class="settings-btn" onclick="filterByTopic()">Show only this topic in the table</button>`
+                    : ''}
+            </td>
+        </tr>
+    `;
+}
+
+function toggleTopic(row) {
+    const topic = topicBreakdown[Number(row.dataset.index)].topic;
+    expandedTopic = expandedTopic === topic ? undefined : topic;
+    renderTopics();
+}
+
+function openTopicPosition(index) {
+    const topic = topicBreakdown.find(t => t.topic === expandedTopic);
+    openDetailPanel(topic.positions[index]);
+}
+
+function filterByTopic() {
+    setFilters({ ...currentFilters, topic: expandedTopic });
+    populateFilterBar();
+}
+
+/**
+ * Export the breakdown as shown, one record per topic
+ */
+function toTopicRecords() {
+    const runTime = new Date(currentRunTimestamp).toISOString();
+    return getTopicBreakdown(getExportPositions(), ManifoldAPI.getHurdleRate()).map(t => ({
+        runTimestamp: runTime,
+        topic: t.topic,
+        count: t.count,
+        saleValue: t.saleValue,
+        payout: t.payout,
+        weightedReturn: t.weightedReturn,
+        belowMarginShare: t.belowMarginShare,
+        positions: t.positions.map(getRowKey)
+    }));
+}
+
+function exportTopicsCsv() {
+    const csv = recordsToCsv(toTopicRecords(), ['runTimestamp', 'topic']);
+    downloadFile(getExportFilename('csv', 'topics'), '\uFEFF' + csv, 'text/csv;charset=utf-8');
+}
+
+function exportTopicsJson() {
+    const content = JSON.stringify({
+        runTimestamp: new Date(currentRunTimestamp).toISOString(),
+        hurdleRate: ManifoldAPI.getHurdleRate(),
+        filters: currentFilters,
+        topics: toTopicRecords()
+    }, null, 2);
+    
+    downloadFile(getExportFilename('json', 'topics'), content, 'application/json');
+}
@@ -0,0 +1,251 @@
+/**
+ * Selling through the Manifold API with the user's API key. The key is kept
+ * in sessionStorage, so it is forgotten when the tab is closed.
+ */
+
+const API_KEY_STORAGE_KEY = 'manifold-analyzer-api-key';
+const MAX_SLIPPAGE_STORAGE_KEY = 'manifold-analyzer-max-slippage';
+const DEFAULT_MAX_SLIPPAGE = 0.05;  // 5%
+
+// The account the API key belongs to, once the key has been checked
+let tradingUser = null;
+let sellInProgress = false;
+
+/**
+ * Use the key saved earlier in this tab, if any
+ */
+async function restoreApiKey() {
+    document.getElementById('max-slippage').value = +(getMaxSlippage() * 100).toFixed(4);
+    
+    const key = sessionStorage.getItem(API_KEY_STORAGE_KEY);
+    if (key) {
+        await useApiKey(key);
+    } else {
+        updateTradingStatus();
+    }
+}
+
+/**
+ * Check the key entered in the panel and keep it for this tab
+ */
+async function saveApiKey() {
+    const input = document.getElementById('api-key');
+    const key = input.value.trim();
+    input.value = '';
+    
+    if (key) {
+        await useApiKey(key);
+    }
+}
+
+async function useApiKey(key) {
+    ManifoldAPI.setApiKey(key);
+    try {
+        tradingUser = await ManifoldAPI.getAuthenticatedUser();
+        sessionStorage.setItem(API_KEY_STORAGE_KEY, key);
+        hideError();
+    } catch (error) {
+        ManifoldAPI.setApiKey(null);
+        tradingUser = null;
+        sessionStorage.removeItem(API_KEY_STORAGE_KEY);
+        showError(error.message);
+    }
+    updateTradingStatus();
+}
+
+function forgetApiKey() {
+    ManifoldAPI.setApiKey(null);
+    tradingUser = null;
+    sessionStorage.removeItem(API_KEY_STORAGE_KEY);
+    updateTradingStatus();
+}
+
+function updateTradingStatus() {
+    document.getElementById('api-key-status').textContent = tradingUser
+        ? `Selling enabled for ${tradingUser.username}.`
+        : 'Read-only: no API key in use.';
+    document.getElementById('planner-sell-btn').classList.toggle('hidden', !tradingUser);
+}
+
+/**
+ * Slippage at which batch sells stop, as a fraction
+ */
+function getMaxSlippage() {
+    const stored = parseFloat(localStorage.getItem(MAX_SLIPPAGE_STORAGE_KEY));
+    return isNaN(stored) ? DEFAULT_MAX_SLIPPAGE : stored;
+}
+
+function applyMaxSlippage() {
+    const value = parseFloat(document.getElementById('max-slippage').value);
+    if (isNaN(value) || value < 0) {
+        localStorage.removeItem(MAX_SLIPPAGE_STORAGE_KEY);
+    } else {
+        localStorage.setItem(MAX_SLIPPAGE_STORAGE_KEY, value / 100);
+    }
+    document.getElementById('max-slippage').value = +(getMaxSlippage() * 100).toFixed(4);
+}
+
+/**
+ * Only the API key's own positions can be sold with it
+ */
+function canSell(position) {
+    return tradingUser !== null && (position.owner || '').toLowerCase() === tradingUser.username.toLowerCase();
+}
+
+/**
+ * What a fill actually brought in: Manifold records a sale as a negative amount
+ */
+function getFillProceeds(fill) {
+    return typeof fill.bet.amount === 'number' ? -fill.bet.amount : fill.quote.proceeds;
+}
+
+function describePosition(position) {
+    return position.answer ? `${position.question} ↳ ${position.answer}` : position.question;
+}
+
+/**
+ * Sell controls for the detail panel
+ */
+function renderSellForm(position) {
+    if (!tradingUser) return '';
+    
+    if (!canSell(position)) {
+        return `<p class="detail-note">Only ${escapeHtml(tradingUser.username)}'s positions can be sold with this API key.</p>`;
+    }
+    
+    const toMargin = position.optimalSellShares > 0
+        ? `<button type="button" class="settings-btn" onclick="setSellShares(${position.optimalSellShares})">To margin</button>`
+        : '';
+    
+    return `
+        <div class="detail-sell">
+            <label>
+                Shares to sell
+                <input type="number" id="detail-sell-shares" min="0" max="${position.shares}" step="any" value="${position.shares}">
+            </label>
+            <button type="button" class="settings-btn" onclick="setSellShares(${position.shares})">All</button>
+            ${toMargin}
+            <button type="button" class="sell-btn" onclick="sellFromDetail()">Sell…</button>
+        </div>
+        <p class="detail-note" id="detail-sell-status"></p>
+    `;
+}
+
+function setSellShares(shares) {
+    document.getElementById('detail-sell-shares').value = +shares.toFixed(4);
+}
+
+/**
+ * Sell the shares entered in the detail panel, after confirming the price
+ */
+async function sellFromDetail() {
+    const position = detailPosition;
+    const status = document.getElementById('detail-sell-status');
+    const shares = Math.min(parseFloat(document.getElementById('detail-sell-shares').value), position.shares);
+    
+    if (!(shares > 0) || sellInProgress) return;
+    
+    sellInProgress = true;
+    try {
+        status.textContent = 'Getting the current price...';
+        const contract = await ManifoldAPI.getMarket(position.contractId);
+        const quote = ManifoldAPI.quoteSale(contract, position.answerId, position.outcome, shares);
+        if (!quote) {
+            status.textContent = 'This market has no AMM price to sell into; sell it on Manifold.';
+            return;
+        }
+        status.textContent = '';
+        
+        const confirmed = confirm(
+            `Sell ${shares.toFixed(2)} ${formatOutcome(position)} shares of "${describePosition(position)}"?\n\n` +
+            `Expected proceeds: M$${quote.proceeds.toFixed(2)} (slippage ${(quote.slippage * 100).toFixed(1)}%)`
+        );
+        if (!confirmed) return;
+        
+        status.textContent = 'Selling...';
+        const bet = await ManifoldAPI.sellShares(position.contractId, {
+            outcome: position.outcome,
+            answerId: position.answerId,
+            // Always the count quoted: a hedged position's shares are net of
+            // the opposite side, so "sell all" would sell more than that
+            shares
+        });
+        
+        closeDetailPanel();
+        showNotice(`Sold ${shares.toFixed(2)} shares of "${describePosition(position)}" for M$${getFillProceeds({ bet, quote }).toFixed(2)}.`);
+        analyzePortfolio();
+    } catch (error) {
+        status.textContent = error.message;
+    } finally {
+        sellInProgress = false;
+    }
+}
+
+/**
+ * Sell the positions ticked in the planner, one at a time
+ */
+async function sellPlannedPositions() {
+    if (sellInProgress) return;
+    
+    const button = document.getElementById('planner-sell-btn');
+    const planned = buildPlan().sells;
+    const sells = planned.filter(sell => canSell(sell.position));
+    
+    if (sells.length === 0) {
+        showError(planned.length > 0
+            ? `None of the ticked positions belong to ${tradingUser.username}, the API key's account`
+            : 'Tick the positions to sell in the planner first');
+        return;
+    }
+    
+    const maxSlippage = getMaxSlippage();
+    const expected = sells.reduce((sum, sell) => sum + sell.proceeds, 0);
+    const skipped = planned.length - sells.length;
+    const confirmed = confirm(
+        `Sell ${sells.length} position${sells.length === 1 ? '' : 's'} for about M$${expected.toFixed(2)}?\n\n` +
+        `Each sale is priced again just before it is placed, and selling stops if slippage ` +
+        `would exceed ${(maxSlippage * 100).toFixed(1)}%.` +
+        (skipped > 0 ? `\n\n${skipped} ticked position${skipped === 1 ? '' : 's'} of other accounts will be skipped.` : '')
+    );
+    if (!confirmed) return;
+    
+    sellInProgress = true;
+    button.disabled = true;
+    hideError();
+    
+    try {
+        const orders = sells.map(({ position }) => ({
+            contractId: position.contractId,
+            answerId: position.answerId,
+            outcome: position.outcome,
+            shares: position.shares
+        }));
+        
+        let filled = 0;
+        button.textContent = `Selling... (0/${orders.length})`;
+        const result = await ManifoldAPI.executeSells(orders, {
+            maxSlippage,
+            onFill: () => {
+                button.textContent = `Selling... (${++filled}/${orders.length})`;
+            }
+        });
+        
+        const proceeds = result.fills.reduce((sum, fill) => sum + getFillProceeds(fill), 0);
+        let message = `Sold ${result.fills.length} of ${orders.length} positions for M$${proceeds.toFixed(2)}.`;
+        if (result.stopped) {
+            const stoppedAt = sells[orders.indexOf(result.stopped.order)].position;
+            message += ` Stopped at "${describePosition(stoppedAt)}": ${result.stopped.reason}.`;
+        }
+        showNotice(message);
+        
+        if (result.fills.length > 0) {
+            analyzePortfolio();
+        }
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        sellInProgress = false;
+        button.disabled = false;
+        button.textContent = 'Sell ticked positions…';
+    }
+}